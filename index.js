@@ -6,33 +6,259 @@ const jwt = require("jsonwebtoken");
 const cookieParser = require("cookie-parser");
 const Stripe = require("stripe");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const multer = require("multer");
+const sharp = require("sharp");
 
 const app = express();
 const port = process.env.PORT || 5000;
 
-// ✅ Stripe setup
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+// ✅ Stripe setup (replaceable with app.set("stripe", client), test/payments.test.js uses a stub)
+app.set("stripe", Stripe(process.env.STRIPE_SECRET_KEY));
+const getStripe = () => app.get("stripe");
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+
+// ✅ Mail transport (replaceable with app.set("mailer", { send }))
+// MAIL_TRANSPORT: smtp (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS), file (MAIL_DIR) or console
+const MAIL_FROM = process.env.MAIL_FROM || "LocalChefBazaar <no-reply@localchefbazaar.com>";
+const createMailTransport = (kind) => {
+  if (kind === "smtp") {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT ?? "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return { send: (message) => smtp.sendMail({ from: MAIL_FROM, ...message }) };
+  }
+
+  if (kind === "file") {
+    // one JSON file per mail, for development
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "localchef-mail");
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ from: MAIL_FROM, ...message }, null, 2));
+        return { messageId: file };
+      },
+    };
+  }
+
+  return {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+};
+app.set("mailer", createMailTransport(process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console")));
+const getMailer = () => app.get("mailer");
+
+// ✅ Uploads are kept in memory by multer and only written once the request is valid
+// private documents (chef certificates) go through the storage adapter as private objects
+// and are only served to admins
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+const CERTIFICATE_TYPES = { "application/pdf": ".pdf", "image/jpeg": ".jpg", "image/png": ".png" };
+const certificateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, Boolean(CERTIFICATE_TYPES[file.mimetype])),
+}).single("certificate");
+
+// ✅ multer errors (file too large, unexpected field) -> same 400 shape as schema errors
+const handleUpload = (upload) => (req, res, next) =>
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (!(err instanceof multer.MulterError)) return next(err);
+    validationError(res, [{ field: err.field || "file", message: err.message.toLowerCase() }]);
+  });
+
+// ---------------- Image storage ----------------
+// uploads are resized into webp variants and stored through a storage adapter { put, get, remove }
+// STORAGE_DRIVER: local (UPLOAD_DIR/images, served under /uploads/images) or s3 (any S3 compatible
+// service: S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL)
+// { private: true } objects are never served publicly: local keeps them under UPLOAD_DIR itself,
+// s3 under "private/" in S3_PRIVATE_BUCKET (default S3_BUCKET, keep that prefix out of public policies)
+// get(key, options) resolves with a Buffer, or null when the object doesn't exist
+// replaceable with app.set("storage", { put, get, remove })
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${port}`;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_MEAL_IMAGES = 8;
+const MEAL_IMAGE_VARIANTS = {
+  thumb: { width: 160, height: 160, fit: "cover" },
+  card: { width: 640, height: 480, fit: "cover" },
+  full: { width: 1600, height: 1600, fit: "inside" },
+};
+const AVATAR_VARIANTS = {
+  thumb: { width: 96, height: 96, fit: "cover" },
+  card: { width: 320, height: 320, fit: "cover" },
+};
+
+const createStorage = (driver) => {
+  if (driver === "s3") {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+    const bucket = process.env.S3_BUCKET;
+    const privateBucket = process.env.S3_PRIVATE_BUCKET || bucket;
+    const locate = (key, options = {}) =>
+      options.private ? { Bucket: privateBucket, Key: `private/${key}` } : { Bucket: bucket, Key: key };
+    const region = process.env.S3_REGION || "us-east-1";
+    const endpoint = process.env.S3_ENDPOINT; // MinIO, R2, Spaces...
+    const s3 = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle: Boolean(endpoint),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+    const publicUrl =
+      process.env.S3_PUBLIC_URL || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+    return {
+      put: async (key, body, contentType, options = {}) => {
+        await s3.send(
+          new PutObjectCommand({
+            ...locate(key, options),
+            Body: body,
+            ContentType: contentType,
+            CacheControl: options.private ? "private, no-store" : "public, max-age=31536000, immutable",
+          })
+        );
+        return options.private ? null : `${publicUrl}/${key}`;
+      },
+      get: async (key, options) => {
+        try {
+          const object = await s3.send(new GetObjectCommand(locate(key, options)));
+          return Buffer.from(await object.Body.transformToByteArray());
+        } catch (err) {
+          if (err.name === "NoSuchKey") return null;
+          throw err;
+        }
+      },
+      remove: (key, options) => s3.send(new DeleteObjectCommand(locate(key, options))),
+    };
+  }
+
+  const dir = path.join(UPLOAD_DIR, "images");
+  const locate = (key, options = {}) => path.join(options.private ? UPLOAD_DIR : dir, key);
+  return {
+    put: async (key, body, contentType, options = {}) => {
+      const file = locate(key, options);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return options.private ? null : `${PUBLIC_URL}/uploads/images/${key}`;
+    },
+    get: async (key, options) => {
+      try {
+        return await fs.promises.readFile(locate(key, options));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    remove: (key, options) => fs.promises.rm(locate(key, options), { force: true }),
+  };
+};
+app.set("storage", createStorage(process.env.STORAGE_DRIVER || "local"));
+const getStorage = () => app.get("storage");
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024, files: MAX_MEAL_IMAGES },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+    err.message = "Only jpeg, png and webp images are allowed";
+    cb(err);
+  },
+});
+
+class InvalidImageError extends Error {}
+
+// ✅ Resize an upload into webp variants, throws InvalidImageError if it isn't a readable image
+// returns { name: { buffer, width, height } }
+const renderImageVariants = async (buffer, variants) => {
+  try {
+    const rendered = {};
+    for (const [name, spec] of Object.entries(variants)) {
+      const { data, info } = await sharp(buffer, { failOn: "error" })
+        .rotate() // respect EXIF orientation from phone cameras
+        .resize({ ...spec, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      rendered[name] = { buffer: data, width: info.width, height: info.height };
+    }
+    return rendered;
+  } catch (err) {
+    throw new InvalidImageError(err.message);
+  }
+};
 
 // ✅ Middleware
 app.use(cors({
   origin: ["http://localhost:5173"], // তোমার frontend origin
   credentials: true,
 }));
-app.use(express.json());
+// ✅ Stripe webhook needs the raw body to verify its signature, so skip JSON parsing there
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.originalUrl === "/payments/webhook") return next();
+  jsonParser(req, res, next);
+});
 app.use(cookieParser());
+// keys are random and never reused, so uploaded images can be cached forever
+app.use("/uploads/images", express.static(path.join(UPLOAD_DIR, "images"), { maxAge: "365d", immutable: true }));
+
+// ✅ Malformed JSON gets the same 400 shape as schema errors
+app.use((err, req, res, next) => {
+  if (err.type !== "entity.parse.failed") return next(err);
+  validationError(res, [{ field: "body", message: "must be valid JSON" }]);
+});
+
+// ✅ Every :id route param is an ObjectId, bad ones would make new ObjectId() throw (500)
+app.param("id", (req, res, next, id) => {
+  if (!isObjectId(id)) return validationError(res, [{ field: "id", message: "must be a valid id" }]);
+  next();
+});
 
 // ---------------- JWT Middleware ----------------
-const verifyToken = (req, res, next) => {
+// access tokens are short lived and tied to a session, so revoking the session
+// (logout everywhere, role/status change) locks the token out right away
+const verifyToken = async (req, res, next) => {
   const token = req.cookies?.token; // ✅ শুধু cookie থেকে নিলাম
   if (!token) return res.status(401).json({ message: "Unauthorized" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(403).json({ message: "Invalid token" });
   }
+
+  try {
+    const session = isObjectId(decoded.sid)
+      ? await sessionsCollection.findOne({ _id: new ObjectId(decoded.sid) }, { projection: { revokedAt: 1, expiresAt: 1 } })
+      : null;
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: "Session expired" });
+    }
+  } catch (err) {
+    console.error("Session check error:", err);
+    return res.status(500).json({ message: "Failed to verify session" });
+  }
+
+  // suspended users' sessions are revoked, this catches tokens signed just before that
+  if (decoded.status === "suspended") {
+    return res.status(403).json({ message: "Account suspended" });
+  }
+
+  req.user = decoded;
+  next();
 };
 
 const verifyRole = (role) => {
@@ -44,17 +270,1028 @@ const verifyRole = (role) => {
   };
 };
 
+// ✅ Only active accounts may order, pay or publish meals
+// ("fraud" accounts can still log in and browse)
+const verifyActive = (req, res, next) => {
+  if ((req.user?.status || "active") !== "active") {
+    return res.status(403).json({ message: "Forbidden: Your account is restricted" });
+  }
+  next();
+};
+
+// ---------------- Firebase ID token verification ----------------
+// Firebase ID tokens are RS256 JWTs signed with Google's rotating keys.
+// Tests (or offline setups) can inject { kid: pem } with app.set("firebaseCerts", certs),
+// test/auth.test.js signs tokens with a local key.
+const FIREBASE_CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+let firebaseCertCache = { certs: null, expiresAt: 0 };
+
+const getFirebaseCerts = async () => {
+  const injected = app.get("firebaseCerts");
+  if (injected) return injected;
+  if (firebaseCertCache.certs && Date.now() < firebaseCertCache.expiresAt) {
+    return firebaseCertCache.certs;
+  }
+
+  const response = await fetch(FIREBASE_CERTS_URL);
+  if (!response.ok) throw new Error(`Failed to fetch Firebase certs (${response.status})`);
+
+  // ✅ cache as long as Google says the keys are valid
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get("cache-control") || "");
+  firebaseCertCache = {
+    certs: await response.json(),
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) : 3600) * 1000,
+  };
+  return firebaseCertCache.certs;
+};
+
+class InvalidIdTokenError extends Error {}
+
+// ✅ Verify a Firebase ID token, resolves with its payload (uid in "sub", email, name, picture)
+const verifyFirebaseIdToken = async (idToken) => {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) throw new Error("FIREBASE_PROJECT_ID is not set");
+
+  const decoded = typeof idToken === "string" ? jwt.decode(idToken, { complete: true }) : null;
+  if (!decoded?.header?.kid) throw new InvalidIdTokenError("Malformed ID token");
+
+  const cert = (await getFirebaseCerts())[decoded.header.kid];
+  if (!cert) throw new InvalidIdTokenError("ID token signed with an unknown key");
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, cert, {
+      algorithms: ["RS256"],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`,
+    });
+  } catch (err) {
+    throw new InvalidIdTokenError(err.message);
+  }
+  if (!payload.sub) throw new InvalidIdTokenError("ID token has no subject");
+  if (!payload.email) throw new InvalidIdTokenError("ID token has no email");
+
+  return payload;
+};
+
+// ---------------- Sessions (access + refresh tokens) ----------------
+// "token" cookie: access JWT, lives ACCESS_TOKEN_TTL
+// "refreshToken" cookie: "<sessionId>.<secret>", only the secret's hash is stored,
+// rotated on every /auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS ?? "30");
+
+const authCookieOptions = {
+  httpOnly: true,
+  secure: false, // dev mode, production এ true করো
+  sameSite: "lax",
+};
+const refreshCookieOptions = { ...authCookieOptions, path: "/auth" };
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// ✅ Sign our own JWT for a user document and set it as the "token" cookie
+// every route reads the same fields from req.user, so keep them in one place
+const setAuthCookie = (res, user, sessionId) => {
+  const token = jwt.sign(
+    {
+      id: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      name: user.name || null,
+      avatar: user.avatar || null,
+      chefId: user.chefId || null,
+      status: user.status || "active",
+      sid: sessionId.toString(),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  res.cookie("token", token, authCookieOptions);
+};
+
+const setRefreshCookie = (res, sessionId, secret) => {
+  res.cookie("refreshToken", `${sessionId}.${secret}`, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", authCookieOptions);
+  res.clearCookie("refreshToken", refreshCookieOptions);
+};
+
+// ✅ Start a new session (login/register) and set both cookies
+const startSession = async (req, res, user) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const session = {
+    userId: user._id,
+    email: user.email,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    revokedAt: null,
+  };
+  const { insertedId } = await sessionsCollection.insertOne(session);
+
+  setAuthCookie(res, user, insertedId);
+  setRefreshCookie(res, insertedId, secret);
+  return insertedId;
+};
+
+// ✅ Revoke sessions, e.g. revokeSessions({ userId }, "role-changed")
+const revokeSessions = (filter, reason) =>
+  sessionsCollection.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// "<sessionId>.<secret>" -> { sessionId, secret } or null
+const parseRefreshToken = (value) => {
+  const [sessionId, secret] = String(value || "").split(".");
+  if (!isObjectId(sessionId) || !secret) return null;
+  return { sessionId: new ObjectId(sessionId), secret };
+};
+
+// ---------------- Live events (server-sent events) ----------------
+// GET /events/stream keeps a response open per browser tab, events are pushed to channels:
+// "user:<email>", "chef:<chefId>" and "role:admin"
+// the registry is in memory, so with several server instances a client only gets the events
+// of the instance it is connected to
+const SSE_HEARTBEAT_SECONDS = 25;
+const liveChannels = new Map(); // channel -> Set of open responses
+let liveEventId = 0;
+
+const subscribe = (channels, res) => {
+  for (const channel of channels) {
+    if (!liveChannels.has(channel)) liveChannels.set(channel, new Set());
+    liveChannels.get(channel).add(res);
+  }
+};
+
+const unsubscribe = (channels, res) => {
+  for (const channel of channels) {
+    const listeners = liveChannels.get(channel);
+    listeners?.delete(res);
+    if (listeners?.size === 0) liveChannels.delete(channel);
+  }
+};
+
+// ✅ Push an event to every stream on the channels (a stream on two of them gets it once)
+const publish = (channels, event, data) => {
+  const targets = new Set(channels.flatMap((channel) => [...(liveChannels.get(channel) || [])]));
+  if (targets.size === 0) return;
+
+  const payload = `id: ${++liveEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of targets) res.write(payload);
+};
+
+// ✅ Order events go to the customer and the chef
+const publishOrder = (event, order, extra = {}) =>
+  publish([`user:${order.userEmail}`, ...(order.chefId ? [`chef:${order.chefId}`] : [])], event, {
+    orderId: order._id,
+    checkoutId: order.checkoutId || null,
+    mealName: order.mealName || null,
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    total: order.total ?? order.price,
+    ...extra,
+  });
+
+// ---------------- Notifications ----------------
+// persistent inbox (notifications collection), users can turn each type off in their preferences
+const NOTIFICATION_TYPES = {
+  orderCreated: "New orders for your meals",
+  orderStatus: "Order status changes",
+  paymentSucceeded: "Payment confirmations",
+  paymentFailed: "Failed payments",
+  paymentRefunded: "Refunds",
+  requestDecision: "Chef / admin request decisions",
+};
+
+// how an order status reads in a notification ("Your order ... is on its way")
+const ORDER_STATUS_TEXT = {
+  accepted: "was accepted",
+  rejected: "was rejected by the chef",
+  cooking: "is being cooked",
+  ready: "is ready",
+  "out-for-delivery": "is on its way",
+  delivered: "was delivered",
+  cancelled: "was cancelled",
+  refunded: "was refunded",
+};
+
+// ---------------- Mail templates ----------------
+// every template returns { subject, text, html }; mails are queued in mail_outbox and sent
+// (with retries) in the background, see queueMail()
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const money = (amount) => `${amount < 0 ? "-" : ""}$${Math.abs(Number(amount || 0)).toFixed(2)}`;
+
+const mailLayout = (title, bodyHtml) => `<!doctype html>
+<html><body style="font-family:Arial,sans-serif;color:#222;max-width:600px;margin:auto">
+<h2 style="color:#e4572e">LocalChefBazaar</h2>
+<h3>${escapeHtml(title)}</h3>
+${bodyHtml}
+<p style="color:#888;font-size:12px">You get this mail because you have an account at ${escapeHtml(CLIENT_URL)}</p>
+</body></html>`;
+
+// line items of one order as text lines and html rows
+const orderLines = (order) => {
+  const items = order.items || [{ mealName: order.mealName, quantity: 1, lineTotal: order.price }];
+  const totals = [
+    ["Subtotal", order.subtotal],
+    ...(order.discount ? [["Discount", -order.discount]] : []),
+    ["Tax", order.tax],
+    ["Delivery", order.deliveryFee],
+  ].filter(([, amount]) => amount !== undefined);
+
+  return {
+    text: [
+      ...items.map((i) => `  ${i.quantity} x ${i.mealName}  ${money(i.lineTotal)}`),
+      ...totals.map(([label, amount]) => `  ${label}: ${money(amount)}`),
+      `  Total: ${money(order.total ?? order.price)}`,
+    ].join("\n"),
+    html: `<table cellpadding="4">${items
+      .map((i) => `<tr><td>${i.quantity} x ${escapeHtml(i.mealName)}</td><td align="right">${money(i.lineTotal)}</td></tr>`)
+      .join("")}${totals
+      .map(([label, amount]) => `<tr><td>${label}</td><td align="right">${money(amount)}</td></tr>`)
+      .join("")}<tr><td><b>Total</b></td><td align="right"><b>${money(order.total ?? order.price)}</b></td></tr></table>`,
+  };
+};
+
+const MAIL_TEMPLATES = {
+  welcome: ({ name }) => ({
+    subject: "Welcome to LocalChefBazaar",
+    text: `Hi ${name || "there"},\n\nyour account is ready. Browse home cooked meals at ${CLIENT_URL}/meals`,
+    html: mailLayout(
+      "Welcome!",
+      `<p>Hi ${escapeHtml(name || "there")},</p><p>your account is ready. <a href="${CLIENT_URL}/meals">Browse home cooked meals</a>.</p>`
+    ),
+  }),
+
+  // orders: all orders of one checkout (one per chef)
+  orderConfirmation: ({ orders }) => {
+    const blocks = orders.map((order) => ({ chef: order.chefName || "Chef", ...orderLines(order) }));
+    const total = orders.reduce((sum, o) => sum + toCents(o.total ?? o.price), 0);
+    return {
+      subject: `Order confirmation (${orders.length} order${orders.length > 1 ? "s" : ""})`,
+      text: `Thanks for your order!\n\n${blocks.map((b) => `${b.chef}\n${b.text}`).join("\n\n")}\n\nTo pay: ${money(fromCents(total))}`,
+      html: mailLayout(
+        "Thanks for your order!",
+        `${blocks.map((b) => `<h4>${escapeHtml(b.chef)}</h4>${b.html}`).join("")}<p><b>To pay: ${money(fromCents(total))}</b></p>`
+      ),
+    };
+  },
+
+  orderStatus: ({ order, text }) => ({
+    subject: `Your order ${text}`,
+    text: `Your order of ${order.mealName} ${text}.\n\n${CLIENT_URL}/dashboard/orders`,
+    html: mailLayout(
+      `Your order ${text}`,
+      `<p>Your order of <b>${escapeHtml(order.mealName)}</b> ${escapeHtml(text)}.</p><p><a href="${CLIENT_URL}/dashboard/orders">See your orders</a></p>`
+    ),
+  }),
+
+  paymentReceipt: ({ orders, amount, currency, paymentIntentId }) => {
+    const blocks = orders.map((order) => ({ chef: order.chefName || "Chef", ...orderLines(order) }));
+    return {
+      subject: `Payment receipt - ${money(amount)}`,
+      text: `We received your payment of ${money(amount)} ${String(currency || "usd").toUpperCase()}.\nReference: ${paymentIntentId || "-"}\n\n${blocks.map((b) => `${b.chef}\n${b.text}`).join("\n\n")}`,
+      html: mailLayout(
+        "Payment received",
+        `<p>We received your payment of <b>${money(amount)}</b> ${escapeHtml(String(currency || "usd").toUpperCase())}.</p><p>Reference: ${escapeHtml(paymentIntentId || "-")}</p>${blocks.map((b) => `<h4>${escapeHtml(b.chef)}</h4>${b.html}`).join("")}`
+      ),
+    };
+  },
+
+  requestDecision: ({ requestType, requestStatus, note }) => ({
+    subject: `Your ${requestType} request was ${requestStatus}`,
+    text:
+      (requestStatus === "approved"
+        ? `Good news! Your ${requestType} request was approved. Please log in again to use your new role.`
+        : `Your ${requestType} request was rejected. Contact support if you have questions.`) +
+      (note ? `\n\nNote from our team: ${note}` : ""),
+    html: mailLayout(
+      `Your ${requestType} request was ${requestStatus}`,
+      (requestStatus === "approved"
+        ? `<p>Good news! Your ${escapeHtml(requestType)} request was approved. Please <a href="${CLIENT_URL}/login">log in again</a> to use your new role.</p>`
+        : `<p>Your ${escapeHtml(requestType)} request was rejected. Contact support if you have questions.</p>`) +
+        (note ? `<p><i>Note from our team:</i> ${escapeHtml(note)}</p>` : "")
+    ),
+  }),
+};
+
+// outbox retries: 1, 2, 4, 8... minutes, then the mail is marked failed
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS ?? "6");
+const mailRetryDelayMs = (attempts) => 2 ** (attempts - 1) * 60 * 1000;
+
+// ---------------- Order lifecycle ----------------
+// current status -> { next status: roles allowed to make that move }
+// "system" is used for server side moves (Stripe webhook, refunds)
+// payment auto-accepts an order, so the chef can still reject it until cooking starts
+const ORDER_TRANSITIONS = {
+  pending: { accepted: ["chef", "system"], rejected: ["chef"], cancelled: ["user", "admin"] },
+  accepted: { cooking: ["chef"], rejected: ["chef"], cancelled: ["user", "admin"] },
+  cooking: { ready: ["chef"], "out-for-delivery": ["chef"], cancelled: ["admin"] },
+  ready: { "out-for-delivery": ["chef"], delivered: ["chef"] },
+  "out-for-delivery": { delivered: ["chef"] },
+  delivered: { refunded: ["admin", "system"] },
+  cancelled: { refunded: ["admin", "system"] },
+  rejected: { refunded: ["admin", "system"] },
+  refunded: {},
+};
+
+const ORDER_STATUS_TIMESTAMPS = {
+  accepted: "acceptedAt",
+  rejected: "rejectedAt",
+  cancelled: "cancelledAt",
+  cooking: "cookingAt",
+  ready: "readyAt",
+  "out-for-delivery": "outForDeliveryAt",
+  delivered: "deliveredAt",
+  refunded: "refundedAt",
+};
+
+const canTransitionOrder = (from, to, role) =>
+  (ORDER_TRANSITIONS[from]?.[to] || []).includes(role);
+
+// ---------------- Order pricing ----------------
+// meal prices are stored in dollars, all math below is done in cents
+const DELIVERY_FEE = parseFloat(process.env.DELIVERY_FEE ?? "2"); // per chef (per order)
+const TAX_RATE = parseFloat(process.env.TAX_RATE ?? "0"); // 0.05 = 5%
+const MAX_ITEM_QUANTITY = 20;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// items: [{ price, quantity }]
+// discounts: [{ type, code, label, amount }] (amount in dollars, applied before tax)
+const priceOrder = (items, { deliveryFee = 0, taxRate = 0, discounts = [] } = {}) => {
+  const subtotal = items.reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+
+  let remaining = subtotal; // a discount can never make the food negative
+  const discountLines = discounts.map((d) => {
+    const amount = Math.min(toCents(d.amount), remaining);
+    remaining -= amount;
+    return { type: d.type || "discount", code: d.code || null, label: d.label, amount: -fromCents(amount) };
+  });
+  const discount = subtotal - remaining;
+
+  const tax = Math.round(remaining * taxRate);
+  const delivery = toCents(deliveryFee);
+  const total = remaining + tax + delivery;
+
+  return {
+    subtotal: fromCents(subtotal),
+    discount: fromCents(discount),
+    tax: fromCents(tax),
+    deliveryFee: fromCents(delivery),
+    total: fromCents(total),
+    lines: [
+      { type: "subtotal", label: "Subtotal", amount: fromCents(subtotal) },
+      ...discountLines,
+      { type: "tax", label: "Tax", amount: fromCents(tax) },
+      { type: "delivery", label: "Delivery fee", amount: fromCents(delivery) },
+    ],
+  };
+};
+
+// ---------------- Coupons ----------------
+// one coupon per checkout, its discount is split over the checkout's orders (one per chef) by
+// their eligible food; fundedBy "platform" (admin coupons) or "chef" (a chef's own discount)
+const COUPON_TYPES = ["percentage", "fixed"];
+const normalizeCouponCode = (code) => String(code || "").trim().toUpperCase();
+
+// items a coupon applies to (restricted to chefIds / mealIds when those are set)
+const couponEligible = (coupon, item, chefId) =>
+  (!coupon.chefIds?.length || coupon.chefIds.includes(chefId)) &&
+  (!coupon.mealIds?.length || coupon.mealIds.includes(String(item.mealId)));
+
+// discount in cents for an eligible food total in cents
+const couponDiscountCents = (coupon, eligible) => {
+  let amount = coupon.type === "percentage" ? Math.round((eligible * coupon.value) / 100) : toCents(coupon.value);
+  if (coupon.maxDiscount) amount = Math.min(amount, toCents(coupon.maxDiscount));
+  return Math.min(amount, eligible);
+};
+
+// split cents by weights, rounding leftovers go to the largest shares first
+const splitCents = (total, weights) => {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const shares = weights.map((w) => (sum ? Math.floor((total * w) / sum) : 0));
+  let left = total - shares.reduce((a, b) => a + b, 0);
+  const order = weights.map((w, i) => i).sort((a, b) => weights[b] - weights[a]);
+  for (const i of order) {
+    if (left <= 0) break;
+    if (weights[i] > 0) {
+      shares[i]++;
+      left--;
+    }
+  }
+  return shares;
+};
+
+// ---------------- Delivery area ----------------
+// locations are GeoJSON points ([lng, lat]) so meals can use a 2dsphere index
+// orders to an address pay DELIVERY_FEE plus DELIVERY_FEE_PER_KM for the kitchen -> address distance
+const DELIVERY_FEE_PER_KM = parseFloat(process.env.DELIVERY_FEE_PER_KM ?? "0.5");
+const DEFAULT_DELIVERY_RADIUS_KM = parseFloat(process.env.DEFAULT_DELIVERY_RADIUS_KM ?? "5");
+const MAX_DELIVERY_RADIUS_KM = 50;
+const MAX_ADDRESSES = 10;
+
+const toPoint = (lat, lng) => ({ type: "Point", coordinates: [lng, lat] });
+
+// ✅ Great circle distance between two GeoJSON points, in km
+const distanceKm = (a, b) => {
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const h =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const deliveryFeeFor = (km) => fromCents(toCents(DELIVERY_FEE) + Math.round(km * DELIVERY_FEE_PER_KM * 100));
+
+// ---------------- Chef payouts ----------------
+// platform keeps a commission on the food (after discounts), the chef also gets the
+// delivery fee, tax stays with the platform. Platform funded coupons are paid back to the chef.
+const PLATFORM_COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT ?? "10");
+
+const splitOrderPayout = (order) => {
+  const food = toCents(order.subtotal ?? order.price) - toCents(order.discount || 0);
+  const commission = Math.round((food * PLATFORM_COMMISSION_PERCENT) / 100);
+  const platformDiscount = order.coupon?.fundedBy === "platform" ? toCents(order.coupon.amount) : 0;
+  return {
+    commission: fromCents(commission),
+    amount: fromCents(food - commission + platformDiscount + toCents(order.deliveryFee || 0)),
+  };
+};
+
+// ---------------- Pagination / list helpers ----------------
+// ?page=&limit= (limit is capped so one request can't dump a whole collection)
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// ?sort=<field>&order=asc|desc, only whitelisted fields (first one is the default)
+const parseSort = (query, allowed) => {
+  const field = allowed.includes(query.sort) ? query.sort : allowed[0];
+  const direction = query.order === "asc" ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+// ?from=&to= -> range filter on ISO date strings (how dates are stored)
+// a plain date as "to" includes that whole day
+const parseDateRange = (query) => {
+  const range = {};
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if (from && !isNaN(from)) range.$gte = from.toISOString();
+  if (to && !isNaN(to)) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+    range.$lte = to.toISOString();
+  }
+  return Object.keys(range).length ? range : null;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ---------------- Analytics ----------------
+// orders that brought money in, refunds are subtracted through refundedAmount
+const REVENUE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+const netRevenueExpr = {
+  $subtract: [{ $ifNull: ["$total", "$price"] }, { $ifNull: ["$refundedAmount", 0] }],
+};
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+// ?timezone= must be a zone Intl knows (e.g. "Asia/Dhaka"), otherwise $dateTrunc fails the whole aggregation
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// ?from=&to= with a default window of the last `days` days
+const analyticsRange = (query, days = 30) => {
+  const range = parseDateRange(query) || {};
+  if (!range.$gte) range.$gte = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  if (!range.$lte) range.$lte = new Date().toISOString();
+  return range;
+};
+
+// ObjectId.isValid() also accepts any 12 character string, so check the hex form
+const isObjectId = (id) => /^[a-f\d]{24}$/i.test(String(id));
+
+// ---------------- Meal query builder ----------------
+const MEAL_SORTS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  rating: { averageRating: -1, reviewCount: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  popular: { orderCount: -1, _id: -1 },
+};
+
+// comma separated query value -> trimmed array ("a, b" => ["a", "b"])
+const toList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// lat/lng (+ radiusKm): "near" is returned for a $geoNear stage, $text can't be used with it
+// so the search falls back to a name match
+const buildMealQuery = (query) => {
+  const filter = { ...PUBLIC_MEAL_FILTER };
+  const projection = {};
+
+  let near = null;
+  if (query.lat !== undefined || query.lng !== undefined) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    if (!(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) {
+      return { error: { field: "lat", message: "lat and lng must be valid coordinates" } };
+    }
+    const radiusKm = Math.min(parseFloat(query.radiusKm) || MAX_DELIVERY_RADIUS_KM, MAX_DELIVERY_RADIUS_KM);
+    near = { point: toPoint(lat, lng), radiusKm };
+  }
+
+  if (query.search && near) {
+    filter.foodName = { $regex: escapeRegex(String(query.search)), $options: "i" };
+  } else if (query.search) {
+    filter.$text = { $search: String(query.search) };
+    projection.score = { $meta: "textScore" };
+  }
+
+  const minPrice = parseFloat(query.minPrice);
+  const maxPrice = parseFloat(query.maxPrice);
+  if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+    filter.price = {};
+    if (!isNaN(minPrice)) filter.price.$gte = minPrice;
+    if (!isNaN(maxPrice)) filter.price.$lte = maxPrice;
+  }
+
+  if (query.chefId) filter.chefId = String(query.chefId);
+
+  const categories = toList(query.category);
+  if (categories.length) filter.category = { $in: categories };
+
+  const cuisines = toList(query.cuisine);
+  if (cuisines.length) filter.cuisine = { $in: cuisines };
+
+  const minRating = parseFloat(query.minRating);
+  if (!isNaN(minRating)) filter.averageRating = { $gte: minRating };
+
+  const dietary = toList(query.dietary);
+  if (dietary.length) filter.dietaryTags = { $all: dietary };
+
+  // meals without an "available" flag are treated as available
+  if (query.available === "true") filter.available = { $ne: false };
+  if (query.available === "false") filter.available = false;
+
+  let sort = MEAL_SORTS[query.sort];
+  if (!sort) {
+    if (near) sort = { distanceMeters: 1, _id: 1 };
+    else sort = filter.$text ? { score: { $meta: "textScore" } } : MEAL_SORTS.newest;
+  }
+
+  return { filter, sort, projection, near };
+};
+
+// ---------------- Recommendations ----------------
+// a user's taste profile is built from the meals they ordered, favorited and reviewed:
+// { category: { Biryani: 7 }, cuisine: {...}, chefId: {...}, dietaryTags: {...} }
+// a review counts rating - 3, so 1-2 star reviews push a category down
+const TASTE_FIELDS = { category: 3, cuisine: 2, chefId: 1.5, dietaryTags: 0.5 }; // field -> weight
+const SIGNAL_WEIGHTS = { order: 2, favorite: 3 };
+const TRENDING_DAYS = parseInt(process.env.TRENDING_DAYS ?? "7");
+// the trending ranking scans a week of orders, it is reused for TRENDING_CACHE_SECONDS
+const TRENDING_CACHE_SECONDS = parseInt(process.env.TRENDING_CACHE_SECONDS ?? "300");
+
+const fieldValues = (meal, field) => [].concat(meal[field] ?? []).filter(Boolean); // dietaryTags is a list
+
+// signals: [{ meal, weight }]
+const buildTasteProfile = (signals) => {
+  const profile = Object.fromEntries(Object.keys(TASTE_FIELDS).map((field) => [field, {}]));
+  for (const { meal, weight } of signals) {
+    for (const field of Object.keys(TASTE_FIELDS)) {
+      for (const value of fieldValues(meal, field)) {
+        profile[field][value] = (profile[field][value] || 0) + weight;
+      }
+    }
+  }
+  return profile;
+};
+
+// returns { score, reasons: [{ field, value }] }, rating and popularity only break ties
+const scoreForProfile = (meal, profile) => {
+  let score = 0;
+  const reasons = [];
+  for (const [field, fieldWeight] of Object.entries(TASTE_FIELDS)) {
+    for (const value of fieldValues(meal, field)) {
+      const weight = profile[field][value];
+      if (!weight) continue;
+      score += weight * fieldWeight;
+      if (weight > 0 && field !== "dietaryTags") reasons.push({ field, value });
+    }
+  }
+  score += (meal.averageRating || 0) * 0.2 + Math.log1p(meal.orderCount || 0) * 0.1;
+  return { score, reasons };
+};
+
+// how close another meal is: same category / cuisine / chef, shared dietary tags and
+// ingredients, similar price
+const similarityScore = (meal, other) => {
+  const lower = (list) => (list || []).map((value) => String(value).toLowerCase());
+  const shared = (a, b) => lower(a).filter((value) => lower(b).includes(value)).length;
+
+  let score = 0;
+  if (meal.category && meal.category === other.category) score += 3;
+  if (meal.cuisine && meal.cuisine === other.cuisine) score += 2;
+  if (meal.chefId && meal.chefId === other.chefId) score += 1;
+  score += shared(meal.dietaryTags, other.dietaryTags) * 0.5;
+  score += Math.min(shared(meal.ingredients, other.ingredients), 4) * 0.25;
+  if (meal.price > 0 && other.price > 0) score += 1 - Math.min(Math.abs(meal.price - other.price) / meal.price, 1);
+  return score + (other.averageRating || 0) * 0.1;
+};
+
+// ---------------- Meal scheduling ----------------
+// dailyCapacity: portions per delivery day (unset = unlimited)
+// availableDays: ["mon", ...] (unset/empty = every day), availableFrom/availableUntil: "HH:MM" delivery window
+// days and times are kitchen local time (KITCHEN_TIME_ZONE)
+const KITCHEN_TIME_ZONE = process.env.KITCHEN_TIME_ZONE || "UTC";
+const MAX_PREORDER_DAYS = Number(process.env.MAX_PREORDER_DAYS) || 7;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const kitchenClock = new Intl.DateTimeFormat("en-GB", {
+  timeZone: KITCHEN_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// ✅ Date -> { date: "YYYY-MM-DD", day: "mon", time: "HH:MM" } in kitchen local time
+const kitchenSlot = (at) => {
+  const parts = Object.fromEntries(kitchenClock.formatToParts(at).map((p) => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.slice(0, 3).toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+};
+
+// ✅ "YYYY-MM-DD" -> slot for the whole day (no time), null if not a date
+const slotForDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return null;
+  const noon = new Date(`${date}T12:00:00Z`);
+  return isNaN(noon) ? null : { date, day: WEEKDAYS[noon.getUTCDay()], time: null };
+};
+
+// ✅ Why the meal can't be delivered in this slot, null if it can
+const slotUnavailableReason = (meal, slot) => {
+  if (meal.availableDays?.length && !meal.availableDays.includes(slot.day)) {
+    return `is not cooked on ${slot.day} (only ${meal.availableDays.join(", ")})`;
+  }
+  if (slot.time && meal.availableFrom && slot.time < meal.availableFrom) {
+    return `is delivered from ${meal.availableFrom}`;
+  }
+  if (slot.time && meal.availableUntil && slot.time > meal.availableUntil) {
+    return `is delivered until ${meal.availableUntil}`;
+  }
+  return null;
+};
+
+// meal_capacity document id, one per meal and delivery day
+const capacityKey = (mealId, date) => `${mealId}:${date}`;
+
+// ---------------- Request validation ----------------
+// every write route declares a schema { field: rule }; only schema fields reach the handler
+// (req.body is replaced with the coerced values), so clients can't set chefId, paymentStatus...
+// rule: { type, required, min, max, values (enum), of (array items), fields (object), alias, lowercase, default,
+// nullable (null is kept, e.g. to clear a limit), commaList (a "a, b" string is split, for words/tags) }
+// min/max are lengths for strings and arrays
+const validationError = (res, errors) =>
+  res.status(400).json({ success: false, message: "Validation failed", errors });
+
+const FIELD_TYPES = {
+  string: (value, rule) => {
+    if (!["string", "number"].includes(typeof value)) return { error: "must be text" };
+    const text = rule.lowercase ? String(value).trim().toLowerCase() : String(value).trim();
+    if (rule.min !== undefined && text.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+    if (rule.max !== undefined && text.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+    return { value: text };
+  },
+  number: (value, rule) => {
+    const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n)) return { error: "must be a number" };
+    if (rule.integer && !Number.isInteger(n)) return { error: "must be a whole number" };
+    if (rule.min !== undefined && n < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && n > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: n };
+  },
+  integer: (value, rule) => FIELD_TYPES.number(value, { ...rule, integer: true }),
+  boolean: (value) => {
+    if (value === true || value === "true") return { value: true };
+    if (value === false || value === "false") return { value: false };
+    return { error: "must be true or false" };
+  },
+  date: (value) => {
+    const date = ["string", "number"].includes(typeof value) ? new Date(value) : null;
+    return date && !isNaN(date) ? { value: date.toISOString() } : { error: "must be a valid date" };
+  },
+  time: (value) =>
+    /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? { value } : { error: "must be a time like 09:30" },
+  objectId: (value) => (isObjectId(value) ? { value: String(value) } : { error: "must be a valid id" }),
+  enum: (value, rule) =>
+    rule.values.includes(value) ? { value } : { error: `must be one of ${rule.values.join(", ")}` },
+  // a single string is a one entry list of strings, commaList rules split it on commas ("a, b")
+  // (urls like .../w_300,h_200/x.jpg contain commas)
+  array: (value, rule, path, errors) => {
+    const single = typeof value === "string" && rule.of.type === "string";
+    const items = Array.isArray(value) ? value : single ? (rule.commaList ? toList(value) : [value]) : null;
+    if (!items) return { error: "must be a list" };
+    if (rule.min !== undefined && items.length < rule.min) return { error: `must have at least ${rule.min} entries` };
+    if (rule.max !== undefined && items.length > rule.max) return { error: `must have at most ${rule.max} entries` };
+    return { value: items.map((item, i) => checkField(rule.of, item, `${path}.${i}`, errors)) };
+  },
+  object: (value, rule, path, errors) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return { error: "must be an object" };
+    const result = validate(rule.fields, value, { path: `${path}.` });
+    errors.push(...result.errors);
+    return { value: result.value };
+  },
+};
+
+// nested errors are pushed by the array/object checks themselves
+const checkField = (rule, value, path, errors) => {
+  const result = FIELD_TYPES[rule.type](value, rule, path, errors);
+  if (result.error) errors.push({ field: path, message: result.error });
+  return result.value;
+};
+
+// ✅ Check a body against a schema, returns { value, errors: [{ field, message }] }
+// partial: missing required fields are fine (updates), defaults are not applied
+const validate = (schema, body, { partial = false, path = "" } = {}) => {
+  const source = body && typeof body === "object" ? body : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (rule.nullable && source[field] === null) {
+      value[field] = null;
+      continue;
+    }
+    const raw = [field, ...(rule.alias || [])]
+      .map((key) => source[key])
+      .find((v) => v !== undefined && v !== null && v !== "");
+    if (raw === undefined) {
+      if (partial) continue;
+      if (rule.required) errors.push({ field: path + field, message: "is required" });
+      else if (rule.default !== undefined) value[field] = rule.default;
+      continue;
+    }
+    const checked = checkField(rule, raw, path + field, errors);
+    if (checked !== undefined) value[field] = checked;
+  }
+
+  return { value, errors };
+};
+
+// ✅ Route middleware: 400 with the field errors, or req.body = whitelisted values
+const validateBody = (schema, options = {}) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+  if (errors.length) return validationError(res, errors);
+  if (options.partial && Object.keys(value).length === 0) {
+    return validationError(res, [{ field: "body", message: "nothing to update" }]);
+  }
+  req.body = value;
+  next();
+};
+
+// ---------------- Meal model ----------------
+// meals belong to a chef through the chef's stable chefId ("chef-XXXX"), chefEmail and
+// chefName are copies for display. Deleting only sets deletedAt so orders keep resolving.
+const MEAL_STATUSES = ["draft", "published", "archived"];
+const PUBLIC_MEAL_FILTER = { status: "published", deletedAt: null };
+
+// ✅ Meal body schema (create; updates use it with { partial: true })
+// foodImage is kept as images[0] because cards and favorites show it
+const MEAL_SCHEMA = {
+  foodName: { type: "string", required: true, min: 1, max: 120, alias: ["name", "mealName"] },
+  description: { type: "string", max: 2000 },
+  price: { type: "number", required: true, min: 0.5, max: 10000 },
+  ingredients: { type: "array", required: true, min: 1, max: 50, commaList: true, of: { type: "string", max: 100 } },
+  images: { type: "array", max: 8, of: { type: "string", max: 2000 }, alias: ["foodImage"] },
+  category: { type: "string", max: 60 },
+  cuisine: { type: "string", max: 60 },
+  dietaryTags: { type: "array", max: 20, commaList: true, of: { type: "string", max: 40, lowercase: true } },
+  prepTimeMinutes: { type: "integer", min: 1, max: 1440 },
+  portions: { type: "integer", min: 1, max: 100 },
+  available: { type: "boolean" },
+  status: { type: "enum", values: MEAL_STATUSES },
+  dailyCapacity: { type: "integer", min: 1, max: 1000, nullable: true },
+  availableDays: { type: "array", max: 7, of: { type: "enum", values: WEEKDAYS } },
+  availableFrom: { type: "time", nullable: true },
+  availableUntil: { type: "time", nullable: true },
+};
+
+// ✅ Meal writes need the chef's stable chefId (set when the chef request is approved)
+const requireChefId = (req, res, next) => {
+  if (!req.user?.chefId) {
+    return res.status(403).json({ message: "Forbidden: Your chef profile has no chefId yet" });
+  }
+  next();
+};
+
+// ---------------- Request schemas ----------------
+const MEAL_STATUS_SCHEMA = { status: { type: "enum", values: MEAL_STATUSES, required: true } };
+
+// cart: { items: [{ mealId, quantity }], deliverySlot?, addressId? } or a single { mealId, quantity, ... }
+const ORDER_SCHEMA = {
+  items: {
+    type: "array",
+    min: 1,
+    max: 50,
+    of: {
+      type: "object",
+      fields: {
+        mealId: { type: "objectId", required: true },
+        quantity: { type: "integer", min: 1, max: MAX_ITEM_QUANTITY, default: 1 },
+      },
+    },
+  },
+  mealId: { type: "objectId" },
+  quantity: { type: "integer", min: 1, max: MAX_ITEM_QUANTITY },
+  deliverySlot: { type: "date" }, // pre-order for a later time, default is as soon as possible
+  addressId: { type: "objectId" }, // one of the user's addresses, default address if left out
+  couponCode: { type: "string", max: 32, alias: ["coupon"] },
+};
+
+// POST /coupons/validate: the cart that is about to be ordered
+const COUPON_CHECK_SCHEMA = { ...ORDER_SCHEMA, couponCode: { ...ORDER_SCHEMA.couponCode, required: true } };
+
+// percentage: value 1-100 (maxDiscount caps it), fixed: value in dollars
+// chefIds / mealIds empty = every meal; chefs can only target their own meals
+const COUPON_SCHEMA = {
+  code: { type: "string", required: true, min: 3, max: 32 },
+  description: { type: "string", max: 200 },
+  type: { type: "enum", values: COUPON_TYPES, required: true },
+  value: { type: "number", required: true, min: 0.01 },
+  maxDiscount: { type: "number", min: 0.01, nullable: true },
+  minOrderValue: { type: "number", min: 0, default: 0 },
+  startsAt: { type: "date", nullable: true },
+  expiresAt: { type: "date", nullable: true },
+  usageLimit: { type: "integer", min: 1, nullable: true }, // all users together
+  perUserLimit: { type: "integer", min: 1, default: 1, nullable: true },
+  chefIds: { type: "array", max: 100, of: { type: "string", max: 40 } },
+  mealIds: { type: "array", max: 100, of: { type: "objectId" } },
+  active: { type: "boolean", default: true },
+};
+
+// delivery address (stored on the user, coordinates become a GeoJSON point)
+const ADDRESS_SCHEMA = {
+  label: { type: "string", max: 40 }, // "Home", "Office"
+  line1: { type: "string", required: true, min: 1, max: 200 },
+  line2: { type: "string", max: 200 },
+  area: { type: "string", max: 80 },
+  city: { type: "string", max: 80 },
+  postalCode: { type: "string", max: 20 },
+  phone: { type: "string", max: 30 },
+  instructions: { type: "string", max: 300 },
+  lat: { type: "number", required: true, min: -90, max: 90 },
+  lng: { type: "number", required: true, min: -180, max: 180 },
+  isDefault: { type: "boolean" },
+};
+
+const KITCHEN_SCHEMA = {
+  lat: ADDRESS_SCHEMA.lat,
+  lng: ADDRESS_SCHEMA.lng,
+  address: { type: "string", max: 300 },
+  deliveryRadiusKm: { type: "number", min: 0.5, max: MAX_DELIVERY_RADIUS_KM, default: DEFAULT_DELIVERY_RADIUS_KM },
+};
+
+// body of the order status routes (refundAmount is only read for admins)
+const ORDER_STATUS_SCHEMA = {
+  note: { type: "string", max: 500 },
+  refundAmount: { type: "number", min: 0.01 },
+};
+
+const PAYMENT_SCHEMA = {
+  orderId: { type: "objectId" },
+  orderIds: { type: "array", min: 1, max: 50, of: { type: "objectId" } },
+  checkoutId: { type: "string", max: 100 },
+};
+
+const REFUND_SCHEMA = {
+  amount: { type: "number", min: 0.01 },
+  reason: { type: "string", max: 500 },
+};
+
+const REVIEW_SCHEMA = {
+  foodId: { type: "objectId", required: true },
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  comment: { type: "string", required: true, min: 1, max: 2000 },
+};
+const REVIEW_UPDATE_SCHEMA = { rating: REVIEW_SCHEMA.rating, comment: REVIEW_SCHEMA.comment };
+const REVIEW_REPORT_SCHEMA = { reason: { type: "string", required: true, min: 1, max: 500 } };
+const REVIEW_REPLY_SCHEMA = { text: { type: "string", required: true, min: 1, max: 1000 } };
+const MODERATION_SCHEMA = { reason: { type: "string", max: 500 } };
+const BANNED_WORDS_SCHEMA = {
+  bannedWords: { type: "array", required: true, max: 500, commaList: true, of: { type: "string", max: 60, lowercase: true } },
+};
+
+// the rest of a favorite (name, chef, price, image) is copied from the meal
+const FAVORITE_SCHEMA = {
+  mealId: { type: "objectId", required: true },
+};
+
+const ROLE_REQUEST_SCHEMA = {
+  requestType: { type: "enum", values: ["chef", "admin"], required: true },
+  userName: { type: "string", max: 120, alias: ["name"] },
+};
+
+// chef applications (multipart/form-data, the food safety certificate comes as the "certificate" file)
+const CHEF_APPLICATION_SCHEMA = {
+  ...ROLE_REQUEST_SCHEMA,
+  kitchenName: { type: "string", required: true, min: 2, max: 80 },
+  bio: { type: "string", required: true, min: 20, max: 1000 },
+  experienceYears: { type: "integer", required: true, min: 0, max: 60 },
+  cuisines: { type: "array", required: true, min: 1, max: 10, commaList: true, of: { type: "string", max: 40 } },
+  phone: { type: "string", max: 30 },
+  certificateNumber: { type: "string", max: 60 },
+  certificateExpiresAt: { type: "date" },
+};
+
+// chef applications have their own schema
+const validateRoleRequest = (req, res, next) =>
+  validateBody(req.body?.requestType === "chef" ? CHEF_APPLICATION_SCHEMA : ROLE_REQUEST_SCHEMA)(req, res, next);
+
+// approve / reject: the note is stored on the request and sent to the applicant
+const REQUEST_DECISION_SCHEMA = { note: { type: "string", max: 1000 } };
+
+const REGISTER_SCHEMA = {
+  idToken: { type: "string", required: true, max: 4096 },
+  name: { type: "string", max: 120 },
+  address: { type: "string", max: 300 },
+  avatar: { type: "string", max: 2000 },
+};
+const LOGIN_SCHEMA = { idToken: REGISTER_SCHEMA.idToken };
+
+// { orderStatus: false, ... } - only the types that are sent change
+const NOTIFICATION_PREFERENCES_SCHEMA = Object.fromEntries(
+  Object.keys(NOTIFICATION_TYPES).map((type) => [type, { type: "boolean" }])
+);
+
+// admin actions on users always need a reason (kept in the audit log)
+const ADMIN_ACTION_SCHEMA = { reason: { type: "string", required: true, min: 1, max: 500 } };
+const SUSPEND_SCHEMA = { ...ADMIN_ACTION_SCHEMA, until: { type: "date" } };
+const ROLE_SCHEMA = {
+  ...ADMIN_ACTION_SCHEMA,
+  role: { type: "enum", values: ["user", "chef", "admin"], required: true },
+};
+
+// ---------------- Review moderation ----------------
+// "flagged" reviews wait for an admin (banned words or too many reports), "hidden" ones were removed by one
+const PUBLIC_REVIEW_FILTER = { moderationStatus: { $nin: ["flagged", "hidden"] } };
+const REVIEW_REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD ?? "3");
+const DEFAULT_BANNED_WORDS = toList(process.env.BANNED_REVIEW_WORDS);
+
+// banned words found in text (whole words, case-insensitive)
+const findBannedWords = (text, bannedWords) =>
+  bannedWords.filter((word) =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(word)}($|[^\\p{L}\\p{N}])`, "iu").test(String(text || ""))
+  );
+
 // ✅ MongoDB connection
 const client = new MongoClient(process.env.MONGO_URI, {
   serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true },
 });
+const db = client.db("LocalChefBazaar");
+// ✅ sessions are read by verifyToken, which lives outside run()
+const sessionsCollection = db.collection("sessions");
 
 async function run() {
   try {
     // await client.connect();
     console.log("✅ MongoDB Connected");
 
-    const db = client.db("LocalChefBazaar");
     const usersCollection = db.collection("users");
     const mealsCollection = db.collection("meals");
     const ordersCollection = db.collection("orders");
@@ -62,116 +1299,2214 @@ async function run() {
     const favoritesCollection = db.collection("favorites");
     const requestsCollection = db.collection("requests");
     const paymentsCollection = db.collection("payments");
+    const refundsCollection = db.collection("refunds");
+    const stripeEventsCollection = db.collection("stripe_events");
+    const payoutsCollection = db.collection("payouts");
+    const auditLogsCollection = db.collection("audit_logs");
+    const settingsCollection = db.collection("settings");
+    const capacityCollection = db.collection("meal_capacity"); // _id: capacityKey(), reserved portions
+    const notificationsCollection = db.collection("notifications");
+    const mailOutboxCollection = db.collection("mail_outbox");
+    const countersCollection = db.collection("counters");
+    const imagesCollection = db.collection("images");
+    const couponsCollection = db.collection("coupons");
+    const couponUsageCollection = db.collection("coupon_usage"); // _id: "<couponId>:<email>", count
+    const couponRedemptionsCollection = db.collection("coupon_redemptions"); // _id: checkoutId, releasedAt
+
+    // ✅ Indexes (background, so routes still register if Mongo is slow)
+    Promise.all([
+      mealsCollection.createIndex(
+        { foodName: "text", mealName: "text", ingredients: "text" },
+        { name: "meals_text_search", weights: { foodName: 10, mealName: 10, ingredients: 3 } }
+      ),
+      mealsCollection.createIndex({ price: 1 }),
+      mealsCollection.createIndex({ averageRating: -1, reviewCount: -1 }),
+      mealsCollection.createIndex({ createdAt: -1 }),
+      mealsCollection.createIndex({ orderCount: -1 }),
+      mealsCollection.createIndex({ chefId: 1, createdAt: -1 }),
+      mealsCollection.createIndex({ category: 1, price: 1 }),
+      mealsCollection.createIndex({ cuisine: 1, price: 1 }),
+      mealsCollection.createIndex({ dietaryTags: 1 }),
+      mealsCollection.createIndex({ status: 1, deletedAt: 1 }),
+      mealsCollection.createIndex({ location: "2dsphere" }),
+      notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 }),
+      notificationsCollection.createIndex({ userEmail: 1, readAt: 1 }),
+      mailOutboxCollection.createIndex({ status: 1, nextAttemptAt: 1 }),
+      usersCollection.createIndex(
+        { chefId: 1 },
+        { unique: true, partialFilterExpression: { chefId: { $type: "string" } } }
+      ),
+      imagesCollection.createIndex({ url: 1 }),
+      couponsCollection.createIndex({ code: 1 }, { unique: true }),
+      couponsCollection.createIndex({ ownerChefId: 1, createdAt: -1 }),
+      imagesCollection.createIndex({ mealId: 1, status: 1 }),
+      imagesCollection.createIndex({ status: 1, orphanedAt: 1 }),
+      requestsCollection.createIndex(
+        { userEmail: 1, requestType: 1 },
+        { unique: true, partialFilterExpression: { requestStatus: "pending" } }
+      ),
+      paymentsCollection.createIndex({ sessionId: 1 }),
+      paymentsCollection.createIndex({ paymentIntentId: 1 }),
+      paymentsCollection.createIndex({ orderIds: 1 }),
+      refundsCollection.createIndex({ orderId: 1, createdAt: -1 }),
+      refundsCollection.createIndex({ stripeRefundId: 1 }, { unique: true, sparse: true }),
+      paymentsCollection.createIndex({ status: 1, createdAt: 1 }),
+      payoutsCollection.createIndex({ orderId: 1 }, { unique: true }),
+      payoutsCollection.createIndex({ chefId: 1, createdAt: -1 }),
+      usersCollection.createIndex({ "stripeAccount.id": 1 }, { sparse: true }),
+      usersCollection.createIndex({ email: 1 }, { unique: true }),
+      sessionsCollection.createIndex({ userId: 1, revokedAt: 1 }),
+      sessionsCollection.createIndex({ email: 1, revokedAt: 1 }),
+      auditLogsCollection.createIndex({ targetUserId: 1, at: -1 }),
+      reviewsCollection.createIndex({ foodId: 1, reviewerEmail: 1 }, { unique: true }),
+      reviewsCollection.createIndex({ foodId: 1, date: -1 }),
+      reviewsCollection.createIndex({ date: -1 }),
+      reviewsCollection.createIndex({ reviewerEmail: 1, date: -1 }),
+      reviewsCollection.createIndex({ moderationStatus: 1, reportCount: -1, date: -1 }),
+      ordersCollection.createIndex({ userEmail: 1, orderStatus: 1, "items.mealId": 1 }),
+      usersCollection.createIndex({ role: 1, status: 1, createdAt: -1 }),
+      usersCollection.createIndex({ createdAt: -1 }),
+      ordersCollection.createIndex({ orderTime: -1 }),
+      ordersCollection.createIndex({ orderStatus: 1, orderTime: -1 }),
+      ordersCollection.createIndex({ paymentStatus: 1, orderTime: -1 }),
+      ordersCollection.createIndex({ chefId: 1, orderTime: -1 }),
+      ordersCollection.createIndex({ userEmail: 1, orderTime: -1 }),
+      requestsCollection.createIndex({ requestStatus: 1, requestTime: -1 }),
+      requestsCollection.createIndex({ requestType: 1, requestTime: -1 }),
+      sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+      // Stripe retries for up to 3 days, keep the event log a bit longer
+      stripeEventsCollection.createIndex({ receivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }),
+    ]).catch((err) => console.error("Index creation error:", err));
+
+    // ✅ One page of a collection + totals, the envelope every admin list uses:
+    // { items, pagination: { page, limit, total, totalPages } }
+    const paginate = async (collection, filter, { sort, page, limit, skip, projection }) => {
+      const [items, total] = await Promise.all([
+        collection.find(filter, { projection }).sort(sort).skip(skip).limit(limit).toArray(),
+        collection.countDocuments(filter),
+      ]);
+      return { items, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+    };
+
+    // ✅ Filter for documents (meals/orders) that belong to the logged-in chef
+    // (routes using it run requireChefId first)
+    const chefOwnedFilter = (user) => ({ chefId: user.chefId });
+
+    // ✅ Recompute the denormalized averageRating/reviewCount on a meal
+    const refreshMealRating = async (foodId) => {
+      if (!isObjectId(foodId)) return;
+      const [stats] = await reviewsCollection
+        .aggregate([
+          { $match: { foodId, ...PUBLIC_REVIEW_FILTER } },
+          { $group: { _id: null, averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } },
+        ])
+        .toArray();
+
+      await mealsCollection.updateOne(
+        { _id: new ObjectId(foodId) },
+        {
+          $set: {
+            averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+            reviewCount: stats?.reviewCount || 0,
+          },
+        }
+      );
+    };
+
+    // ✅ Banned words for reviews (admin editable, BANNED_REVIEW_WORDS until first saved)
+    const getBannedWords = async () => {
+      const settings = await settingsCollection.findOne({ _id: "reviewModeration" });
+      return settings?.bannedWords || DEFAULT_BANNED_WORDS;
+    };
+
+    // ✅ Apply an admin moderation action to a review and keep the meal rating in sync
+    const moderateReview = async (req, action, update) => {
+      const review = await reviewsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id) },
+        {
+          ...update,
+          $push: {
+            moderationLog: {
+              action,
+              by: { id: req.user.id, email: req.user.email },
+              reason: req.body.reason || null,
+              at: new Date().toISOString(),
+            },
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (review) await refreshMealRating(review.foodId);
+      return review;
+    };
+
+    // ✅ New chef id for a user that becomes a chef ("chef-0001", "chef-0002", ...)
+    // from a counter, ids handed out randomly before are skipped (users.chefId is unique-indexed)
+    const newChefId = async () => {
+      for (;;) {
+        const { seq } = await countersCollection.findOneAndUpdate(
+          { _id: "chefId" },
+          { $inc: { seq: 1 } },
+          { upsert: true, returnDocument: "after" }
+        );
+        const chefId = `chef-${String(seq).padStart(4, "0")}`;
+        if (!(await usersCollection.findOne({ chefId }, { projection: { _id: 1 } }))) return chefId;
+      }
+    };
+
+    // ✅ Lift a suspension whose end date has passed
+    // returns the (possibly updated) user, used on login and refresh
+    const expireSuspension = async (user) => {
+      if (user.status !== "suspended" || !user.suspendedUntil) return user;
+      if (new Date(user.suspendedUntil) > new Date()) return user;
+
+      const updated = await usersCollection.findOneAndUpdate(
+        { _id: user._id, status: "suspended" },
+        { $set: { status: "active" }, $unset: { suspendedUntil: "", statusReason: "" } },
+        { returnDocument: "after" }
+      );
+      await auditLogsCollection.insertOne({
+        action: "user.reactivate",
+        targetUserId: user._id,
+        targetEmail: user.email,
+        actor: { id: null, email: null, role: "system" },
+        reason: "Suspension ended",
+        before: { status: "suspended" },
+        after: { status: "active" },
+        at: new Date().toISOString(),
+      });
+      return updated || user;
+    };
+
+    // ✅ Apply an admin change to a user, revoke their sessions and write the audit log
+    // changes: fields to $set (status, role, ...), or an async (user) => { changes } | { status, message }
+    // that runs only after the checks pass; unset: fields to remove
+    // returns { user } on success, { status, message } otherwise
+    const applyAdminUserAction = async (req, action, changes, unset = []) => {
+      const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+      if (!reason) return { status: 400, message: "A reason is required" };
+
+      const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!user) return { status: 404, message: "User not found" };
+      if (user._id.toString() === req.user.id) {
+        return { status: 409, message: "You cannot change your own account" };
+      }
+      if (typeof changes === "function") {
+        const prepared = await changes(user);
+        if (!prepared.changes) return prepared;
+        changes = prepared.changes;
+      }
+
+      const before = Object.fromEntries([...Object.keys(changes), ...unset].map((key) => [key, user[key] ?? null]));
+      const update = { $set: { ...changes, statusReason: reason, statusUpdatedAt: new Date().toISOString() } };
+      if (unset.length) update.$unset = Object.fromEntries(unset.map((key) => [key, ""]));
+
+      const updated = await usersCollection.findOneAndUpdate({ _id: user._id }, update, {
+        returnDocument: "after",
+      });
+
+      // ✅ old tokens carry the old role/status
+      await revokeSessions({ userId: user._id }, action);
+      await auditLogsCollection.insertOne({
+        action,
+        targetUserId: user._id,
+        targetEmail: user.email,
+        actor: { id: req.user.id, email: req.user.email, role: req.user.role },
+        reason,
+        before,
+        after: { ...changes, ...Object.fromEntries(unset.map((key) => [key, null])) },
+        at: new Date().toISOString(),
+      });
+
+      return { user: updated };
+    };
+
+    // ✅ Send due outbox mails one by one (claimed with a lock so two runs never send the same mail)
+    // a "sending" lock older than 10 minutes is from a crashed run and is taken over
+    let mailOutboxRunning = false;
+    const processMailOutbox = async () => {
+      if (mailOutboxRunning) return { sent: 0, failed: 0 };
+      mailOutboxRunning = true;
+      const summary = { sent: 0, failed: 0 };
+      try {
+        for (;;) {
+          const now = new Date();
+          const mail = await mailOutboxCollection.findOneAndUpdate(
+            {
+              $or: [
+                { status: "pending", nextAttemptAt: { $lte: now } },
+                { status: "sending", lockedAt: { $lte: new Date(now - 10 * 60 * 1000) } },
+              ],
+            },
+            { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+          );
+          if (!mail) break;
+
+          try {
+            const info = await getMailer().send({ to: mail.to, subject: mail.subject, text: mail.text, html: mail.html });
+            await mailOutboxCollection.updateOne(
+              { _id: mail._id },
+              { $set: { status: "sent", sentAt: new Date().toISOString(), messageId: info?.messageId || null } }
+            );
+            summary.sent++;
+          } catch (err) {
+            const giveUp = mail.attempts >= MAIL_MAX_ATTEMPTS;
+            await mailOutboxCollection.updateOne(
+              { _id: mail._id },
+              {
+                $set: {
+                  status: giveUp ? "failed" : "pending",
+                  lastError: err.message,
+                  nextAttemptAt: new Date(Date.now() + mailRetryDelayMs(mail.attempts)),
+                },
+              }
+            );
+            console.error(`Mail ${mail._id} to ${mail.to} failed (attempt ${mail.attempts}):`, err.message);
+            if (giveUp) summary.failed++;
+          }
+        }
+      } finally {
+        mailOutboxRunning = false;
+      }
+      return summary;
+    };
+
+    // ✅ Render a template into the outbox and kick off sending in the background
+    // never throws: /orders and the Stripe webhook must not fail because of mail
+    const queueMail = async (to, template, data) => {
+      try {
+        if (!to) return;
+        const { subject, text, html } = MAIL_TEMPLATES[template](data);
+        await mailOutboxCollection.insertOne({
+          to,
+          template,
+          subject,
+          text,
+          html,
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          createdAt: new Date().toISOString(),
+        });
+        setImmediate(() => processMailOutbox().catch((err) => console.error("Mail outbox error:", err)));
+      } catch (err) {
+        console.error("Queue mail error:", err);
+      }
+    };
+
+    // ✅ Store an inbox notification (unless the user turned the type off) and push it live
+    // never throws: a failed notification must not fail the order/payment that caused it
+    const notify = async (userEmail, type, { title, message, data = {} }) => {
+      try {
+        if (!userEmail) return;
+        const user = await usersCollection.findOne({ email: userEmail }, { projection: { notificationPreferences: 1 } });
+        if (user?.notificationPreferences?.[type] === false) return;
+
+        const notification = {
+          userEmail,
+          type,
+          title,
+          message,
+          data,
+          readAt: null,
+          createdAt: new Date().toISOString(),
+        };
+        const { insertedId } = await notificationsCollection.insertOne(notification);
+        publish([`user:${userEmail}`], "notification", { _id: insertedId, ...notification });
+      } catch (err) {
+        console.error("Notification error:", err);
+      }
+    };
+
+    // ✅ Order status notification (+ mail): the customer hears from the chef/admin/system,
+    // the chef hears about cancellations
+    const notifyOrderStatus = async (order, actor) => {
+      const to = order.orderStatus;
+      if (to === "refunded") return; // the refund itself sends a paymentRefunded notification
+      const data = { orderId: order._id, orderStatus: to };
+      const name = order.mealName || "order";
+      if (actor.role !== "user") {
+        await notify(order.userEmail, "orderStatus", {
+          title: `Order ${to}`,
+          message: `Your order of ${name} ${ORDER_STATUS_TEXT[to] || to}`,
+          data,
+        });
+        await queueMail(order.userEmail, "orderStatus", { order, text: ORDER_STATUS_TEXT[to] || to });
+      }
+      if (to === "cancelled" && actor.role !== "chef") {
+        await notify(order.chefEmail, "orderStatus", {
+          title: "Order cancelled",
+          message: `The order of ${name} from ${order.userEmail} was cancelled`,
+          data,
+        });
+      }
+    };
+
+    // ✅ Move an order to a new status (only along ORDER_TRANSITIONS)
+    // returns { order } on success, { status, message } otherwise
+    const transitionOrder = async (filter, to, actor, note) => {
+      const order = await ordersCollection.findOne(filter);
+      if (!order) return { status: 404, message: "Order not found" };
+
+      const from = order.orderStatus || "pending"; // old orders may not have a status
+      if (!canTransitionOrder(from, to, actor.role)) {
+        return { status: 409, message: `Order cannot move from "${from}" to "${to}"` };
+      }
+
+      const now = new Date().toISOString();
+      const updated = await ordersCollection.findOneAndUpdate(
+        { _id: order._id, orderStatus: order.orderStatus ?? null }, // guard against concurrent moves
+        {
+          $set: { orderStatus: to, [ORDER_STATUS_TIMESTAMPS[to]]: now },
+          $push: {
+            statusHistory: {
+              from,
+              to,
+              at: now,
+              by: { role: actor.role, email: actor.email || null },
+              note: note || null,
+            },
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updated) return { status: 409, message: "Order status changed, please retry" };
+
+      publishOrder("order.status", updated, { from, note: note || null });
+      await notifyOrderStatus(updated, actor);
+      return { order: updated };
+    };
+
+    // ✅ Find the chef's user document from an order/meal chefId
+    const findChefUser = async ({ chefId }) => {
+      if (!chefId) return null;
+      return usersCollection.findOne({ role: "chef", chefId });
+    };
+
+    // ✅ Send a payout to the chef's connected account
+    // payouts wait as "pending_onboarding" until the chef can receive transfers
+    const transferPayout = async (payout, chef) => {
+      if (!chef?.stripeAccount?.payoutsEnabled) {
+        await payoutsCollection.updateOne({ _id: payout._id }, { $set: { status: "pending_onboarding" } });
+        return;
+      }
+
+      try {
+        const transfer = await getStripe().transfers.create(
+          {
+            amount: toCents(payout.amount),
+            currency: payout.currency,
+            destination: chef.stripeAccount.id,
+            transfer_group: payout.transferGroup,
+            ...(payout.sourceCharge && { source_transaction: payout.sourceCharge }),
+            metadata: { orderId: payout.orderId.toString() },
+          },
+          { idempotencyKey: `payout-${payout._id}` }
+        );
+        await payoutsCollection.updateOne(
+          { _id: payout._id },
+          {
+            $set: {
+              status: "paid",
+              stripeTransferId: transfer.id,
+              destination: chef.stripeAccount.id,
+              paidAt: new Date().toISOString(),
+            },
+            $unset: { failureReason: "" },
+          }
+        );
+      } catch (err) {
+        console.error(`Payout ${payout._id} failed:`, err.message);
+        await payoutsCollection.updateOne(
+          { _id: payout._id },
+          { $set: { status: "failed", failureReason: err.message } }
+        );
+      }
+    };
+
+    // ✅ Record (once per order) and send the chef's share of paid orders
+    const createChefPayouts = async (orderIds, { transferGroup, sourceCharge }) => {
+      for (const orderId of orderIds) {
+        const order = await ordersCollection.findOne({ _id: orderId });
+        if (!order || order.paymentStatus !== "paid") continue;
+
+        const chef = await findChefUser(order);
+        const payout = {
+          orderId,
+          chefId: order.chefId,
+          chefEmail: chef?.email || order.chefEmail || null,
+          gross: order.total ?? order.price,
+          ...splitOrderPayout(order),
+          commissionPercent: PLATFORM_COMMISSION_PERCENT,
+          currency: order.currency || "usd",
+          status: "pending",
+          transferGroup,
+          sourceCharge: sourceCharge || null,
+          createdAt: new Date().toISOString(),
+        };
+
+        try {
+          payout._id = (await payoutsCollection.insertOne(payout)).insertedId;
+        } catch (err) {
+          if (err.code === 11000) continue; // webhook retry, payout already recorded
+          throw err;
+        }
+        await transferPayout(payout, chef);
+      }
+    };
+
+    // ✅ Retry payouts that waited for onboarding or failed
+    const releasePendingPayouts = async (chef) => {
+      if (!chef?.stripeAccount?.payoutsEnabled || !chef.chefId) return 0;
+      const payouts = await payoutsCollection
+        .find({ chefId: chef.chefId, status: { $in: ["pending_onboarding", "failed"] } })
+        .toArray();
+      for (const payout of payouts) await transferPayout(payout, chef);
+      return payouts.length;
+    };
+
+    // ✅ Take back the chef's share of a refund (share = refunded part of the order)
+    const reverseChefPayout = async (order, share) => {
+      const payout = await payoutsCollection.findOne({ orderId: order._id });
+      if (!payout || payout.status === "reversed") return;
+
+      const cents = Math.min(
+        Math.round(toCents(payout.amount) * share),
+        toCents(payout.amount) - toCents(payout.reversedAmount || 0)
+      );
+      if (cents <= 0) return;
+
+      const reversedAmount = fromCents(toCents(payout.reversedAmount || 0) + cents);
+      const status = reversedAmount >= payout.amount ? "reversed" : payout.status;
+
+      if (payout.status === "paid") {
+        try {
+          await getStripe().transfers.createReversal(payout.stripeTransferId, { amount: cents });
+        } catch (err) {
+          // money is already back with the customer, flag it for manual follow up
+          console.error(`Transfer reversal for payout ${payout._id} failed:`, err.message);
+          await payoutsCollection.updateOne(
+            { _id: payout._id },
+            { $set: { reversalError: err.message } }
+          );
+          return;
+        }
+        await payoutsCollection.updateOne({ _id: payout._id }, { $set: { reversedAmount, status } });
+      } else {
+        // never transferred: just shrink what the chef will receive
+        const remaining = fromCents(toCents(payout.amount) - cents);
+        await payoutsCollection.updateOne(
+          { _id: payout._id },
+          { $set: remaining > 0 ? { amount: remaining } : { amount: 0, status: "cancelled" } }
+        );
+      }
+    };
+
+    // ✅ Book a refund that went through at Stripe on the order: chef payout reversal,
+    // refundedAmount / paymentStatus, events, and the "refunded" status once nothing is left
+    // shared by refundOrder and charge.refunded (refunds made in the Stripe dashboard)
+    const applyOrderRefund = async (order, { cents, refundId, reason }) => {
+      const orderCents = toCents(order.total ?? order.price);
+      const refundedCents = toCents(order.refundedAmount || 0) + cents;
+      const fullyRefunded = refundedCents >= orderCents;
+      const paymentStatus = fullyRefunded ? "refunded" : "partially_refunded";
+
+      await reverseChefPayout(order, cents / orderCents);
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        { $set: { refundedAmount: fromCents(refundedCents), paymentStatus } }
+      );
+      publishOrder("payment.refunded", { ...order, paymentStatus }, { refundAmount: fromCents(cents) });
+      await notify(order.userEmail, "paymentRefunded", {
+        title: "Refund issued",
+        message: `$${fromCents(cents)} of your order of ${order.mealName || "meals"} was refunded`,
+        data: { orderId: order._id, refundId, amount: fromCents(cents) },
+      });
+
+      // only finished orders (delivered/cancelled/rejected) can move to "refunded"
+      if (fullyRefunded) {
+        const moved = await transitionOrder({ _id: order._id }, "refunded", { role: "system" }, reason);
+        if (!moved.order) console.log(`Order ${order._id} refunded but kept its status: ${moved.message}`);
+      }
+    };
+
+    // ✅ Refund a paid order through Stripe
+    // amount (dollars) defaults to whatever is still refundable on the order
+    // returns { refund, order } on success, { status, message } otherwise
+    const refundOrder = async (order, { amount, reason, actor }) => {
+      if (!["paid", "partially_refunded"].includes(order.paymentStatus)) {
+        return { status: 409, message: "Order has not been paid" };
+      }
+
+      const orderId = order._id.toString();
+      const payment = await paymentsCollection.findOne({
+        $or: [{ orderIds: orderId }, { orderId }],
+        status: { $in: ["paid", "partially_refunded"] },
+      });
+      if (!payment?.paymentIntentId) {
+        return { status: 409, message: "No Stripe payment found for this order" };
+      }
+
+      const orderCents = toCents(order.total ?? order.price);
+      const refundedCents = toCents(order.refundedAmount || 0);
+      const refundableCents = orderCents - refundedCents;
+      const cents = amount === undefined || amount === null ? refundableCents : toCents(amount);
+      if (!(cents > 0) || cents > refundableCents) {
+        return { status: 400, message: `Refund amount must be between 0.01 and ${fromCents(refundableCents)}` };
+      }
+
+      const refund = {
+        paymentId: payment._id,
+        orderId: order._id,
+        amount: fromCents(cents),
+        currency: payment.currency || "usd",
+        reason: reason || null,
+        status: "pending",
+        initiatedBy: { role: actor.role, email: actor.email || null },
+        createdAt: new Date().toISOString(),
+      };
+      // the row exists before Stripe knows the refund, charge.refunded finds it by metadata.refundId
+      const { insertedId } = await refundsCollection.insertOne(refund);
+      refund._id = insertedId;
+
+      let stripeRefund;
+      try {
+        stripeRefund = await getStripe().refunds.create(
+          {
+            payment_intent: payment.paymentIntentId,
+            amount: cents,
+            metadata: { orderId, refundId: insertedId.toString() },
+          },
+          { idempotencyKey: `refund-${insertedId}` }
+        );
+      } catch (err) {
+        console.error("Stripe refund error:", err.message);
+        await refundsCollection.updateOne(
+          { _id: insertedId },
+          { $set: { status: "failed", failureReason: err.message } }
+        );
+        return { status: 502, message: "Stripe refund failed" };
+      }
+
+      refund.stripeRefundId = stripeRefund.id;
+      refund.status = stripeRefund.status;
+      // charge.refunded may already have stored a newer status
+      await refundsCollection.updateOne(
+        { _id: insertedId, stripeRefundId: { $exists: false } },
+        { $set: { stripeRefundId: refund.stripeRefundId, status: refund.status } }
+      );
+
+      await applyOrderRefund(order, { cents, refundId: insertedId, reason });
+
+      const paymentRefundedCents = toCents(payment.refundedAmount || 0) + cents;
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        {
+          $set: {
+            refundedAmount: fromCents(paymentRefundedCents),
+            status: paymentRefundedCents >= toCents(payment.amount) ? "refunded" : "partially_refunded",
+          },
+        }
+      );
+
+      return { refund, order: await ordersCollection.findOne({ _id: order._id }) };
+    };
+
+    // ✅ Give back what a second checkout session charged for an order another session already paid
+    // the refund row is found again by session + order, so retried webhooks reuse it and its idempotency key
+    // a failed refund flags the payment (refundRequired) for an admin
+    const refundDuplicatePayment = async (session, order) => {
+      const payment = await paymentsCollection.findOne({ sessionId: session.id });
+      const cents = toCents(order.total ?? order.price);
+      const refund = await refundsCollection.findOneAndUpdate(
+        { sessionId: session.id, orderId: order._id },
+        {
+          $setOnInsert: {
+            paymentId: payment?._id || null,
+            amount: fromCents(cents),
+            currency: payment?.currency || session.currency || "usd",
+            reason: "Order was already paid by another checkout",
+            status: "pending",
+            initiatedBy: { role: "system", email: null },
+            createdAt: new Date().toISOString(),
+          },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+      if (refund.stripeRefundId) return; // refunded on an earlier delivery
+
+      let stripeRefund;
+      try {
+        stripeRefund = await getStripe().refunds.create(
+          {
+            payment_intent: session.payment_intent,
+            amount: cents,
+            metadata: { orderId: order._id.toString(), refundId: refund._id.toString() },
+          },
+          { idempotencyKey: `refund-${refund._id}` }
+        );
+      } catch (err) {
+        console.error(`Duplicate payment ${session.id} for order ${order._id}, refund failed:`, err.message);
+        await refundsCollection.updateOne({ _id: refund._id }, { $set: { status: "failed", failureReason: err.message } });
+        await paymentsCollection.updateOne(
+          { sessionId: session.id },
+          { $set: { refundRequired: true, refundError: err.message } }
+        );
+        return;
+      }
+
+      await refundsCollection.updateOne(
+        { _id: refund._id, stripeRefundId: { $exists: false } },
+        { $set: { stripeRefundId: stripeRefund.id, status: stripeRefund.status } }
+      );
+      if (payment) {
+        const paymentRefundedCents = toCents(payment.refundedAmount || 0) + cents;
+        await paymentsCollection.updateOne(
+          { _id: payment._id },
+          {
+            $set: {
+              refundedAmount: fromCents(paymentRefundedCents),
+              status: paymentRefundedCents >= toCents(payment.amount) ? "refunded" : "partially_refunded",
+            },
+          }
+        );
+      }
+    };
+
+    // ✅ Route handlers for order status changes (body: { note?, refundAmount? })
+    // getFilter(req) limits the lookup to orders the caller owns
+    // cancelling or rejecting a paid order refunds it (admins may pass a partial refundAmount)
+    const orderStatusRoute = (to, getFilter, action) => [
+      validateBody(ORDER_STATUS_SCHEMA),
+      async (req, res) => {
+        try {
+          const filter = { _id: new ObjectId(req.params.id), ...getFilter(req) };
+          const result = await transitionOrder(filter, to, req.user, req.body.note);
+          if (!result.order) return res.status(result.status).json({ message: result.message });
+
+          // ✅ portions go back on sale, the coupon can be used again
+          if (["cancelled", "rejected"].includes(to)) {
+            await releaseCapacity(result.order.reservations);
+            await releaseCoupon(result.order);
+          }
+
+          if (["cancelled", "rejected"].includes(to) && result.order.paymentStatus === "paid") {
+            const refunded = await refundOrder(result.order, {
+              amount: req.user.role === "admin" ? req.body.refundAmount : undefined,
+              reason: `Order ${to}`,
+              actor: req.user,
+            });
+            if (!refunded.refund) {
+              // the status change stands, an admin can retry the refund manually
+              return res.json({ success: true, modifiedCount: 1, order: result.order, refundError: refunded.message });
+            }
+            return res.json({ success: true, modifiedCount: 1, order: refunded.order, refund: refunded.refund });
+          }
+
+          res.json({ success: true, modifiedCount: 1, order: result.order });
+        } catch (err) {
+          console.error(`Error trying to ${action}:`, err);
+          res.status(500).json({ message: `Failed to ${action}` });
+        }
+      },
+    ];
+
+    // ✅ Reserve daily portions, all or nothing
+    // reservations: [{ key, mealId, mealName, date, quantity, capacity }]
+    // the conditional upsert can't go over capacity: a full day fails the filter and the insert
+    // then hits the existing _id (E11000)
+    const reserveCapacity = async (reservations) => {
+      const reserved = [];
+      for (const r of reservations) {
+        try {
+          await capacityCollection.updateOne(
+            { _id: r.key, reserved: { $lte: r.capacity - r.quantity } },
+            { $inc: { reserved: r.quantity }, $setOnInsert: { mealId: r.mealId, date: r.date } },
+            { upsert: true }
+          );
+          reserved.push(r);
+        } catch (err) {
+          await releaseCapacity(reserved);
+          if (err.code !== 11000) throw err;
+
+          const day = await capacityCollection.findOne({ _id: r.key });
+          const remaining = Math.max(r.capacity - (day?.reserved || 0), 0);
+          return { status: 409, message: `${r.mealName} is sold out for ${r.date} (${remaining} left)` };
+        }
+      }
+      return { reservations: reserved };
+    };
+
+    // ✅ Give reserved portions back (order cancelled/rejected or not saved)
+    const releaseCapacity = async (reservations = []) => {
+      if (!reservations.length) return;
+      await capacityCollection.bulkWrite(
+        reservations.map((r) => ({
+          updateOne: { filter: { _id: r.key }, update: { $inc: { reserved: -r.quantity } } },
+        }))
+      );
+    };
+
+    const couponUsageKey = (couponId, email) => `${couponId}:${email}`;
+
+    // ✅ Active coupon by code that this user can still use, or an error
+    const findCoupon = async (code, user) => {
+      const coupon = await couponsCollection.findOne({ code: normalizeCouponCode(code), active: true });
+      if (!coupon) return { status: 404, message: "Coupon not found" };
+
+      const now = new Date().toISOString();
+      if (coupon.startsAt && coupon.startsAt > now) {
+        return { status: 400, message: `Coupon ${coupon.code} is not active yet` };
+      }
+      if (coupon.expiresAt && coupon.expiresAt <= now) {
+        return { status: 400, message: `Coupon ${coupon.code} has expired` };
+      }
+      if (coupon.usageLimit && coupon.redemptions >= coupon.usageLimit) {
+        return { status: 409, message: `Coupon ${coupon.code} has been used up` };
+      }
+      if (coupon.perUserLimit) {
+        const usage = await couponUsageCollection.findOne({ _id: couponUsageKey(coupon._id, user.email) });
+        if ((usage?.count || 0) >= coupon.perUserLimit) {
+          return { status: 409, message: `You have already used coupon ${coupon.code}` };
+        }
+      }
+      return { coupon };
+    };
+
+    // ✅ Count one use of a coupon, all or nothing
+    // per user: same conditional upsert as reserveCapacity (a user at the limit fails the
+    // filter and the insert hits the existing _id), global: conditional $inc
+    const redeemCoupon = async (coupon, user) => {
+      const usageKey = couponUsageKey(coupon._id, user.email);
+      try {
+        await couponUsageCollection.updateOne(
+          { _id: usageKey, ...(coupon.perUserLimit ? { count: { $lt: coupon.perUserLimit } } : {}) },
+          { $inc: { count: 1 }, $setOnInsert: { couponId: coupon._id, userEmail: user.email } },
+          { upsert: true }
+        );
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return { status: 409, message: `You have already used coupon ${coupon.code}` };
+      }
+
+      const redeemed = await couponsCollection.findOneAndUpdate(
+        {
+          _id: coupon._id,
+          active: true,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ["$redemptions", "$usageLimit"] } }],
+        },
+        { $inc: { redemptions: 1 } },
+        { returnDocument: "after" }
+      );
+      if (!redeemed) {
+        await couponUsageCollection.updateOne({ _id: usageKey }, { $inc: { count: -1 } });
+        return { status: 409, message: `Coupon ${coupon.code} has been used up` };
+      }
+      return { coupon: redeemed };
+    };
+
+    // ✅ Hand a checkout's coupon use back, at most once
+    // the redemption record flips to released first, only the caller that flips it decrements
+    const releaseCouponRedemption = async (checkoutId) => {
+      const redemption = await couponRedemptionsCollection.findOneAndUpdate(
+        { _id: checkoutId, releasedAt: null },
+        { $set: { releasedAt: new Date().toISOString() } }
+      );
+      if (!redemption) return false;
+
+      await couponsCollection.updateOne({ _id: redemption.couponId }, { $inc: { redemptions: -1 } });
+      await couponUsageCollection.updateOne(
+        { _id: couponUsageKey(redemption.couponId, redemption.userEmail) },
+        { $inc: { count: -1 } }
+      );
+      return true;
+    };
+
+    // ✅ Give the use back once no live order of the checkout carries the coupon anymore
+    const releaseCoupon = async (order) => {
+      if (!order?.coupon) return;
+      const stillUsed = await ordersCollection.countDocuments({
+        _id: { $ne: order._id },
+        checkoutId: order.checkoutId,
+        "coupon.couponId": order.coupon.couponId,
+        orderStatus: { $nin: ["cancelled", "rejected"] },
+      });
+      if (stillUsed) return;
+
+      await releaseCouponRedemption(order.checkoutId);
+    };
+
+    // ✅ Take the use again for orders whose coupon was released when their checkout session expired
+    // the orders keep their discount, so paying them needs the coupon to still be available
+    // returns { reclaimed: [checkoutId] } on success (release those if the payment doesn't go ahead),
+    // { status, message } otherwise
+    const reclaimCoupons = async (orders) => {
+      const checkoutIds = [...new Set(orders.filter((order) => order.coupon).map((order) => order.checkoutId))];
+      const reclaimed = [];
+      for (const checkoutId of checkoutIds) {
+        const redemption = await couponRedemptionsCollection.findOneAndUpdate(
+          { _id: checkoutId, releasedAt: { $ne: null } },
+          { $set: { releasedAt: null } }
+        );
+        if (!redemption) continue; // still held
+
+        const coupon = await couponsCollection.findOne({ _id: redemption.couponId });
+        const redeemed = coupon
+          ? await redeemCoupon(coupon, { email: redemption.userEmail })
+          : { status: 409, message: "The coupon of this order no longer exists" };
+        if (!redeemed.coupon) {
+          await couponRedemptionsCollection.updateOne(
+            { _id: checkoutId },
+            { $set: { releasedAt: redemption.releasedAt } }
+          );
+          for (const id of reclaimed) await releaseCouponRedemption(id);
+          return { status: redeemed.status, message: `${redeemed.message}, please order again` };
+        }
+        reclaimed.push(checkoutId);
+      }
+      return { reclaimed };
+    };
+
+    // ✅ Build orders from the cart using prices stored in mealsCollection
+    // cart: [{ mealId, quantity }] -> one order per chef
+    // deliverySlot: ISO date for pre-orders (checked against the meals' days, window and prep time)
+    // address: saved user address, must be inside each chef's delivery radius (fee grows with distance)
+    // coupon: from findCoupon, checked against the eligible food of the whole checkout
+    // returns { orders } on success, { status, message } otherwise
+    const buildOrders = async (cart, user, { deliverySlot, address, coupon } = {}) => {
+      if (!Array.isArray(cart) || cart.length === 0) {
+        return { status: 400, message: "Cart is empty" };
+      }
+
+      const now = new Date();
+      const slotAt = deliverySlot ? new Date(deliverySlot) : now;
+      if (slotAt < now - 5 * 60 * 1000) {
+        return { status: 400, message: "Delivery slot is in the past" };
+      }
+      if (slotAt > now.getTime() + MAX_PREORDER_DAYS * 24 * 60 * 60 * 1000) {
+        return { status: 400, message: `You can pre-order at most ${MAX_PREORDER_DAYS} days ahead` };
+      }
+      const slot = kitchenSlot(slotAt);
+
+      const quantities = new Map(); // mealId -> quantity (same meal twice is merged)
+      for (const item of cart) {
+        const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+        if (!isObjectId(item.mealId)) {
+          return { status: 400, message: `Invalid meal id: ${item.mealId}` };
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          return { status: 400, message: "Quantity must be a positive whole number" };
+        }
+        const total = (quantities.get(String(item.mealId)) || 0) + quantity;
+        if (total > MAX_ITEM_QUANTITY) {
+          return { status: 400, message: `You can order at most ${MAX_ITEM_QUANTITY} of one meal` };
+        }
+        quantities.set(String(item.mealId), total);
+      }
+
+      const meals = await mealsCollection
+        .find({ _id: { $in: [...quantities.keys()].map((id) => new ObjectId(id)) }, ...PUBLIC_MEAL_FILTER })
+        .toArray();
+
+      const chefs = new Map(); // chefId -> line items
+      for (const mealId of quantities.keys()) {
+        const meal = meals.find((m) => m._id.toString() === mealId);
+        if (!meal) return { status: 400, message: `Meal not found or no longer available: ${mealId}` };
+
+        const price = Number(meal.price);
+        if (!(price > 0) || meal.available === false) {
+          return { status: 400, message: `Meal is not for sale right now: ${mealId}` };
+        }
+
+        const mealName = meal.foodName || meal.mealName;
+        const unavailable = slotUnavailableReason(meal, slot);
+        if (unavailable) return { status: 400, message: `${mealName} ${unavailable}` };
+        if (deliverySlot && meal.prepTimeMinutes && slotAt - now < meal.prepTimeMinutes * 60 * 1000) {
+          return { status: 400, message: `${mealName} needs ${meal.prepTimeMinutes} minutes to prepare` };
+        }
+
+        const quantity = quantities.get(mealId);
+        if (meal.dailyCapacity && quantity > meal.dailyCapacity) {
+          return { status: 409, message: `${mealName} is limited to ${meal.dailyCapacity} portions a day` };
+        }
+
+        const chefKey = meal.chefId;
+        if (!chefs.has(chefKey)) chefs.set(chefKey, { meal, items: [], reservations: [] });
+
+        if (meal.dailyCapacity) {
+          chefs.get(chefKey).reservations.push({
+            key: capacityKey(mealId, slot.date),
+            mealId,
+            mealName,
+            date: slot.date,
+            quantity,
+            capacity: meal.dailyCapacity,
+          });
+        }
+        chefs.get(chefKey).items.push({
+          mealId,
+          mealName,
+          foodImage: meal.foodImage || null,
+          price,
+          quantity,
+          lineTotal: fromCents(toCents(price) * quantity),
+        });
+      }
+
+      const checkoutId = crypto.randomUUID();
+      const orderTime = new Date().toISOString();
+      // ✅ delivery: kitchens without a location (or orders without an address) pay the flat fee
+      const deliveries = new Map(); // chefId -> { deliveryFee, distanceKm }
+      for (const [chefKey, { meal }] of chefs) {
+        if (!address?.location || !meal.location) {
+          deliveries.set(chefKey, { deliveryFee: DELIVERY_FEE, distanceKm: null });
+          continue;
+        }
+        const km = distanceKm(meal.location, address.location);
+        const radiusKm = meal.deliveryRadiusKm || DEFAULT_DELIVERY_RADIUS_KM;
+        if (km > radiusKm) {
+          return {
+            status: 400,
+            message: `${meal.chefName || "This chef"} only delivers within ${radiusKm} km (your address is ${km.toFixed(1)} km away)`,
+          };
+        }
+        deliveries.set(chefKey, { deliveryFee: deliveryFeeFor(km), distanceKm: Math.round(km * 100) / 100 });
+      }
+
+      // ✅ coupon discount in cents per chef
+      const discounts = new Map();
+      if (coupon) {
+        const chefKeys = [...chefs.keys()];
+        const eligible = chefKeys.map((chefKey) =>
+          chefs
+            .get(chefKey)
+            .items.filter((item) => couponEligible(coupon, item, chefKey))
+            .reduce((sum, item) => sum + toCents(item.lineTotal), 0)
+        );
+        const eligibleTotal = eligible.reduce((a, b) => a + b, 0);
+        if (!eligibleTotal) {
+          return { status: 400, message: `Coupon ${coupon.code} doesn't apply to these meals` };
+        }
+        if (eligibleTotal < toCents(coupon.minOrderValue || 0)) {
+          return { status: 400, message: `Coupon ${coupon.code} needs at least $${coupon.minOrderValue} of eligible meals` };
+        }
+        const shares = splitCents(couponDiscountCents(coupon, eligibleTotal), eligible);
+        chefKeys.forEach((chefKey, i) => discounts.set(chefKey, shares[i]));
+      }
+
+      let deliveryAddress = null; // snapshot, later edits of the address don't change the order
+      if (address) {
+        const { _id, ...details } = address;
+        deliveryAddress = { addressId: _id, ...details };
+      }
+
+      const orders = [...chefs.entries()].map(([chefKey, { meal, items, reservations }]) => {
+        const delivery = deliveries.get(chefKey);
+        const discount = discounts.get(chefKey) || 0;
+        const pricing = priceOrder(items, {
+          deliveryFee: delivery.deliveryFee,
+          taxRate: TAX_RATE,
+          discounts: discount
+            ? [{ type: "coupon", code: coupon.code, label: `Coupon ${coupon.code}`, amount: fromCents(discount) }]
+            : [],
+        });
+        return {
+          checkoutId,
+          items,
+          mealId: items[0].mealId, // first item, kept for older clients
+          mealName: items.map((i) => i.mealName).join(", "),
+          chefId: meal.chefId || null,
+          chefName: meal.chefName || null,
+          chefEmail: meal.chefEmail || null,
+          ...pricing,
+          price: pricing.total, // older clients and stats read "price"
+          currency: "usd",
+          userEmail: user.email,
+          orderStatus: "pending",
+          paymentStatus: "unpaid",
+          orderTime,
+          deliverySlot: deliverySlot ? slotAt.toISOString() : null, // null = as soon as possible
+          deliveryDate: slot.date,
+          deliveryAddress,
+          deliveryDistanceKm: delivery.distanceKm,
+          coupon: discount
+            ? { couponId: coupon._id, code: coupon.code, fundedBy: coupon.fundedBy, amount: pricing.discount }
+            : null,
+          reservations,
+          statusHistory: [
+            { from: null, to: "pending", at: orderTime, by: { role: user.role, email: user.email }, note: null },
+          ],
+        };
+      });
+
+      return { orders };
+    };
+
+    // ✅ Cart body -> buildOrders options: the chosen address, else the default one (users
+    // without addresses pay the flat fee) and the coupon
+    // returns { options } on success, { status, message } otherwise
+    const checkoutOptions = async (body, user) => {
+      const { deliverySlot, addressId, couponCode } = body;
+      const { addresses = [] } =
+        (await usersCollection.findOne({ email: user.email }, { projection: { addresses: 1 } })) || {};
+      const address = addressId
+        ? addresses.find((a) => a._id.toString() === addressId)
+        : addresses.find((a) => a.isDefault) || addresses[0];
+      if (addressId && !address) return { status: 404, message: "Address not found" };
+
+      let coupon = null;
+      if (couponCode) {
+        const found = await findCoupon(couponCode, user);
+        if (!found.coupon) return found;
+        coupon = found.coupon;
+      }
+      return { options: { deliverySlot, address, coupon } };
+    };
+
+    // ✅ Shared handler for POST /orders and POST /user/orders
+    // body: { items: [{ mealId, quantity }], deliverySlot?, addressId?, couponCode? } or a single { mealId, quantity, ... }
+    const placeOrder = async (req, res) => {
+      try {
+        const cart = req.body.items || (req.body.mealId ? [req.body] : []);
+        const checkout = await checkoutOptions(req.body, req.user);
+        if (!checkout.options) return res.status(checkout.status).json({ message: checkout.message });
+
+        const result = await buildOrders(cart, req.user, checkout.options);
+        if (!result.orders) return res.status(result.status).json({ message: result.message });
+
+        const { orders } = result;
+        const reservations = orders.flatMap((order) => order.reservations);
+        const reserved = await reserveCapacity(reservations);
+        if (!reserved.reservations) return res.status(reserved.status).json({ message: reserved.message });
+
+        // ✅ one use of the coupon per checkout, even when it spans several chefs
+        const couponOrder = orders.find((order) => order.coupon);
+        if (couponOrder) {
+          const redeemed = await redeemCoupon(checkout.options.coupon, req.user);
+          if (!redeemed.coupon) {
+            await releaseCapacity(reservations);
+            return res.status(redeemed.status).json({ message: redeemed.message });
+          }
+          await couponRedemptionsCollection.insertOne({
+            _id: couponOrder.checkoutId,
+            couponId: redeemed.coupon._id,
+            userEmail: req.user.email,
+            redeemedAt: new Date().toISOString(),
+            releasedAt: null,
+          });
+        }
+
+        let inserted;
+        try {
+          inserted = await ordersCollection.insertMany(orders);
+        } catch (err) {
+          await releaseCapacity(reservations);
+          await releaseCoupon(couponOrder);
+          throw err;
+        }
+        orders.forEach((order, i) => (order._id = inserted.insertedIds[i]));
+        await queueMail(req.user.email, "orderConfirmation", { orders });
+        for (const order of orders) {
+          publishOrder("order.created", order, { items: order.items });
+          await notify(order.chefEmail, "orderCreated", {
+            title: "New order",
+            message: `${order.items.map((i) => `${i.quantity} x ${i.mealName}`).join(", ")} from ${order.userEmail}`,
+            data: { orderId: order._id, deliverySlot: order.deliverySlot },
+          });
+        }
+
+        // ✅ popularity counter used by GET /meals?sort=popular
+        await mealsCollection.bulkWrite(
+          orders.flatMap((order) =>
+            order.items.map((item) => ({
+              updateOne: {
+                filter: { _id: new ObjectId(item.mealId) },
+                update: { $inc: { orderCount: item.quantity } },
+              },
+            }))
+          )
+        );
+
+        res.json({
+          success: true,
+          insertedId: orders[0]._id,
+          checkoutId: orders[0].checkoutId,
+          orderIds: orders.map((o) => o._id),
+          orders,
+          discount: fromCents(orders.reduce((sum, o) => sum + toCents(o.discount), 0)),
+          total: fromCents(orders.reduce((sum, o) => sum + toCents(o.total), 0)),
+        });
+      } catch (err) {
+        console.error("Error placing order:", err);
+        res.status(500).json({ message: "Failed to place order" });
+      }
+    };
+
+    // ✅ Add soldOut and availability { date, remaining, onMenu } for a kitchen day (default today)
+    // remaining is null for meals without a daily capacity
+    const withAvailability = async (meals, slot = kitchenSlot(new Date())) => {
+      const limited = meals.filter((meal) => meal.dailyCapacity);
+      const days = limited.length
+        ? await capacityCollection
+            .find({ _id: { $in: limited.map((meal) => capacityKey(meal._id, slot.date)) } })
+            .toArray()
+        : [];
+      const reserved = new Map(days.map((day) => [day._id, day.reserved]));
+
+      return meals.map((meal) => {
+        const remaining = meal.dailyCapacity
+          ? Math.max(meal.dailyCapacity - (reserved.get(capacityKey(meal._id, slot.date)) || 0), 0)
+          : null;
+        const onMenu = !slotUnavailableReason(meal, { ...slot, time: null });
+        return { ...meal, soldOut: remaining === 0, availability: { date: slot.date, remaining, onMenu } };
+      });
+    };
+
+    // ✅ Meals ordered the most in the last `days` (cancelled/rejected orders don't count)
+    // returns meals with trending: { quantity, customers }; when there aren't enough recent
+    // orders (new platform, quiet week) the rest is filled by all-time orderCount and rating
+    // with trending: null
+    // ranking per `days`: { ranked, expiresAt }
+    const trendingCache = new Map();
+    const trendingRanking = async (days) => {
+      const cached = trendingCache.get(days);
+      if (cached && Date.now() < cached.expiresAt) return cached.ranked;
+
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const ranked = await ordersCollection
+        .aggregate([
+          { $match: { orderTime: { $gte: since }, orderStatus: { $nin: ["cancelled", "rejected"] } } },
+          // orders from before carts only have a top level mealId
+          {
+            $project: {
+              userEmail: 1,
+              items: { $ifNull: ["$items", [{ mealId: "$mealId", quantity: { $ifNull: ["$quantity", 1] } }]] },
+            },
+          },
+          { $unwind: "$items" },
+          {
+            $group: {
+              _id: { $toString: "$items.mealId" },
+              quantity: { $sum: "$items.quantity" },
+              customers: { $addToSet: "$userEmail" },
+            },
+          },
+          { $project: { quantity: 1, customers: { $size: "$customers" } } },
+          { $sort: { customers: -1, quantity: -1 } },
+          { $limit: 200 },
+        ])
+        .toArray();
+      trendingCache.set(days, { ranked, expiresAt: Date.now() + TRENDING_CACHE_SECONDS * 1000 });
+      return ranked;
+    };
+
+    const trendingMeals = async ({ days = TRENDING_DAYS, limit = 10, exclude = [], filter = {} } = {}) => {
+      const ranked = await trendingRanking(days);
+      const visible = { ...PUBLIC_MEAL_FILTER, available: { $ne: false }, ...filter };
+
+      const excluded = exclude.map(String);
+      const ids = ranked.filter((r) => isObjectId(r._id) && !excluded.includes(r._id)).map((r) => new ObjectId(r._id));
+      const found = await mealsCollection.find({ ...visible, _id: { $in: ids } }).toArray();
+      const meals = ranked
+        .map(({ _id, quantity, customers }) => {
+          const meal = found.find((m) => m._id.toString() === _id);
+          return meal && { ...meal, trending: { quantity, customers } };
+        })
+        .filter(Boolean)
+        .slice(0, limit);
+
+      if (meals.length < limit) {
+        const fill = await mealsCollection
+          .find({
+            ...visible,
+            _id: { $nin: [...excluded, ...meals.map((m) => m._id.toString())].map((id) => new ObjectId(id)) },
+          })
+          .sort({ orderCount: -1, averageRating: -1, reviewCount: -1, _id: -1 })
+          .limit(limit - meals.length)
+          .toArray();
+        meals.push(...fill.map((meal) => ({ ...meal, trending: null })));
+      }
+      return meals;
+    };
+
+    // ✅ Personal picks for a user, returns { meals: [{ ...meal, recommendation }], seen }
+    // seen: meals the user already ordered, favorited or reviewed (never recommended again)
+    const recommendMeals = async (email, limit) => {
+      const [orders, favorites, reviews] = await Promise.all([
+        ordersCollection
+          .find({ userEmail: email, orderStatus: { $nin: ["cancelled", "rejected"] } }, { projection: { items: 1, mealId: 1 } })
+          .sort({ orderTime: -1 })
+          .limit(100)
+          .toArray(),
+        favoritesCollection.find({ userEmail: email }, { projection: { mealId: 1 } }).toArray(),
+        reviewsCollection.find({ reviewerEmail: email }, { projection: { foodId: 1, rating: 1 } }).toArray(),
+      ]);
+
+      const weights = new Map(); // mealId -> signal weight
+      const add = (mealId, weight) => {
+        if (isObjectId(mealId)) weights.set(String(mealId), (weights.get(String(mealId)) || 0) + weight);
+      };
+      for (const order of orders) {
+        for (const item of order.items || [{ mealId: order.mealId }]) add(item.mealId, SIGNAL_WEIGHTS.order);
+      }
+      for (const favorite of favorites) add(favorite.mealId, SIGNAL_WEIGHTS.favorite);
+      for (const review of reviews) add(review.foodId, review.rating - 3);
+
+      const seen = [...weights.keys()];
+      if (!seen.length) return { meals: [], seen };
+
+      const signalMeals = await mealsCollection
+        .find({ _id: { $in: seen.map((id) => new ObjectId(id)) } }, { projection: { category: 1, cuisine: 1, chefId: 1, dietaryTags: 1 } })
+        .toArray();
+      const profile = buildTasteProfile(signalMeals.map((meal) => ({ meal, weight: weights.get(meal._id.toString()) })));
+
+      // candidates share a liked category, cuisine or chef
+      const liked = (field) => Object.keys(profile[field]).filter((value) => profile[field][value] > 0);
+      const $or = ["category", "cuisine", "chefId"]
+        .filter((field) => liked(field).length)
+        .map((field) => ({ [field]: { $in: liked(field) } }));
+      if (!$or.length) return { meals: [], seen };
+
+      const candidates = await mealsCollection
+        .find({
+          ...PUBLIC_MEAL_FILTER,
+          available: { $ne: false },
+          _id: { $nin: seen.map((id) => new ObjectId(id)) },
+          $or,
+        })
+        .limit(300)
+        .toArray();
+
+      const meals = candidates
+        .map((meal) => ({ meal, ...scoreForProfile(meal, profile) }))
+        .filter(({ score, reasons }) => score > 0 && reasons.length)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ meal, score, reasons }) => ({
+          ...meal,
+          recommendation: { source: "personal", score: Math.round(score * 100) / 100, reasons },
+        }));
+      return { meals, seen };
+    };
+
+    // ✅ Meals like this one for the meal page, topped up with trending meals
+    // the 100 candidates are the ones sharing the most of category / cuisine / chef (weighted like
+    // similarityScore), best rated first, then scored in full
+    const similarMeals = async (meal, limit = 6) => {
+      const fields = ["category", "cuisine", "chefId"].filter((field) => meal[field]);
+      const weights = { category: 3, cuisine: 2, chefId: 1 };
+      const candidates = fields.length
+        ? await mealsCollection
+            .aggregate([
+              {
+                $match: {
+                  ...PUBLIC_MEAL_FILTER,
+                  available: { $ne: false },
+                  _id: { $ne: meal._id },
+                  $or: fields.map((field) => ({ [field]: meal[field] })),
+                },
+              },
+              {
+                $addFields: {
+                  matchScore: {
+                    $add: fields.map((field) => ({ $cond: [{ $eq: [`$${field}`, meal[field]] }, weights[field], 0] })),
+                  },
+                },
+              },
+              { $sort: { matchScore: -1, averageRating: -1, _id: -1 } },
+              { $limit: 100 },
+              { $project: { matchScore: 0 } },
+            ])
+            .toArray()
+        : [];
+
+      const similar = candidates
+        .map((other) => ({ other, score: similarityScore(meal, other) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ other }) => other);
+      if (similar.length < limit) {
+        const exclude = [meal._id, ...similar.map((m) => m._id)];
+        similar.push(...(await trendingMeals({ limit: limit - similar.length, exclude })));
+      }
+      return similar;
+    };
+
+    // ✅ Resize + store an uploaded file, returns the images document
+    // status: "unattached" until a meal/avatar uses it, "orphaned" once nothing does
+    const storeImage = async (file, { kind, ownerEmail, variants }) => {
+      const rendered = await renderImageVariants(file.buffer, variants);
+      const imageId = new ObjectId();
+      const stored = {};
+      for (const [name, { buffer, width, height }] of Object.entries(rendered)) {
+        const key = `${kind}/${imageId}/${name}.webp`;
+        stored[name] = { key, url: await getStorage().put(key, buffer, "image/webp"), width, height };
+      }
+
+      const image = {
+        _id: imageId,
+        kind,
+        ownerEmail,
+        url: (stored.full || stored.card).url, // the url clients put into meal.images / avatar
+        variants: stored,
+        originalName: file.originalname,
+        originalSize: file.size,
+        mealId: null,
+        status: "unattached",
+        orphanedAt: null,
+        createdAt: new Date().toISOString(),
+      };
+      await imagesCollection.insertOne(image);
+      return image;
+    };
+
+    // { imageId, url, thumb, card, full } for API responses and meal.imageVariants
+    const imageUrls = (image) => ({
+      imageId: image._id,
+      url: image.url,
+      ...Object.fromEntries(Object.entries(image.variants).map(([name, v]) => [name, v.url])),
+    });
+
+    // ✅ Link uploaded images to a meal after its images list changed
+    // listed uploads get attached, attached ones that are no longer listed become orphans;
+    // external image urls are kept as they are (no variants)
+    const syncMealImages = async (mealId, ownerEmail, images = []) => {
+      await imagesCollection.updateMany(
+        { url: { $in: images }, kind: "meal", ownerEmail },
+        { $set: { mealId, status: "attached", orphanedAt: null } }
+      );
+      await imagesCollection.updateMany(
+        { mealId, status: "attached", url: { $nin: images } },
+        { $set: { status: "orphaned", orphanedAt: new Date().toISOString() } }
+      );
+
+      const attached = await imagesCollection.find({ mealId, status: "attached" }).toArray();
+      const imageVariants = images
+        .map((url) => attached.find((image) => image.url === url))
+        .filter(Boolean)
+        .map(imageUrls);
+      await mealsCollection.updateOne({ _id: mealId }, { $set: { imageVariants } });
+      return imageVariants;
+    };
+
+    // ✅ Remove orphaned images (meal deleted / image dropped) after IMAGE_RETENTION_DAYS
+    // and uploads that were never used after a day
+    // orders keep a copy of foodImage, the retention gives their pages time before links break
+    const IMAGE_RETENTION_DAYS = parseInt(process.env.IMAGE_RETENTION_DAYS ?? "30");
+    const cleanupImages = async () => {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const images = await imagesCollection
+        .find({
+          $or: [
+            { status: "orphaned", orphanedAt: { $lte: new Date(Date.now() - IMAGE_RETENTION_DAYS * dayMs).toISOString() } },
+            { status: "unattached", createdAt: { $lte: new Date(Date.now() - dayMs).toISOString() } },
+          ],
+        })
+        .limit(500)
+        .toArray();
+
+      let removed = 0;
+      for (const image of images) {
+        try {
+          await Promise.all(Object.values(image.variants).map((variant) => getStorage().remove(variant.key)));
+          await imagesCollection.deleteOne({ _id: image._id });
+          removed++;
+        } catch (err) {
+          console.error(`Image ${image._id} cleanup failed:`, err.message);
+        }
+      }
+      return { checked: images.length, removed };
+    };
+
+    // ✅ Store every uploaded file, or a 400 response if one of them isn't a readable image
+    // (variants already stored stay "unattached" and are removed by the cleanup)
+    const storeUploadedImages = async (req, res, field, options) => {
+      const files = req.files || (req.file ? [req.file] : []);
+      if (!files.length) {
+        validationError(res, [{ field, message: "at least one image is required" }]);
+        return null;
+      }
+      const images = [];
+      try {
+        for (const file of files) images.push(await storeImage(file, { ownerEmail: req.user.email, ...options }));
+      } catch (err) {
+        if (!(err instanceof InvalidImageError)) throw err;
+        validationError(res, [{ field, message: "is not a readable image" }]);
+        return null;
+      }
+      return images;
+    };
+
+    // ✅ Meal handlers, mounted on both /chef/meals and /meals
+    const listChefMeals = async (req, res) => {
+      try {
+        const filter = chefOwnedFilter(req.user);
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.includeDeleted !== "true") filter.deletedAt = null;
+
+        const meals = await mealsCollection.find(filter).sort({ createdAt: -1 }).toArray();
+        res.json(await withAvailability(meals));
+      } catch (err) {
+        console.error("Error fetching meals:", err);
+        res.status(500).json({ message: "Failed to fetch meals" });
+      }
+    };
+
+    // (routes run validateBody(MEAL_SCHEMA) first)
+    const createMeal = async (req, res) => {
+      try {
+        const meal = req.body;
+        if (meal.images) meal.foodImage = meal.images[0] || null;
+
+        // ✅ kitchen location is copied onto every meal for "meals near me"
+        const chef = await usersCollection.findOne({ email: req.user.email }, { projection: { kitchen: 1 } });
+        if (chef?.kitchen) {
+          meal.location = chef.kitchen.location;
+          meal.deliveryRadiusKm = chef.kitchen.deliveryRadiusKm;
+        }
+
+        const now = new Date().toISOString();
+        const newMeal = {
+          ...meal,
+          status: meal.status || "published",
+          chefId: req.user.chefId, // ✅ track chef
+          chefEmail: req.user.email,
+          chefName: req.user.name || null,
+          averageRating: 0,
+          reviewCount: 0,
+          orderCount: 0,
+          deletedAt: null,
+          createdAt: now,
+          updatedAt: now,
+        };
+        const result = await mealsCollection.insertOne(newMeal);
+        newMeal.imageVariants = await syncMealImages(result.insertedId, req.user.email, newMeal.images);
+        res.json({ success: true, insertedId: result.insertedId, meal: newMeal });
+      } catch (err) {
+        console.error("Error adding meal:", err);
+        res.status(500).json({ message: "Failed to add meal" });
+      }
+    };
+
+    // ✅ Favorite document for a published meal, display fields come from the meal itself
+    // returns { favorite } on success, { status, message } otherwise
+    const buildFavorite = async (mealId, userEmail) => {
+      const meal = await mealsCollection.findOne({ _id: new ObjectId(mealId), ...PUBLIC_MEAL_FILTER });
+      if (!meal) return { status: 404, message: "Meal not found" };
+      return {
+        favorite: {
+          userEmail,
+          mealId,
+          mealName: meal.foodName || meal.mealName,
+          chefId: meal.chefId,
+          chefName: meal.chefName || null,
+          price: meal.price,
+          foodImage: meal.foodImage || null,
+          addedTime: new Date().toISOString(),
+        },
+      };
+    };
+
+    // ✅ Own, not deleted meal or an error response
+    const findOwnMeal = async (req, res, action) => {
+      const meal = await mealsCollection.findOne({ _id: new ObjectId(req.params.id), deletedAt: null });
+      if (!meal) {
+        res.status(404).json({ message: "Meal not found" });
+        return null;
+      }
+      if (meal.chefId !== req.user.chefId) {
+        res.status(403).json({ message: `Forbidden: You can only ${action} your own meals` });
+        return null;
+      }
+      return meal;
+    };
+
+    const updateMeal = async (req, res) => {
+      try {
+        const changes = req.body;
+        if (changes.images) changes.foodImage = changes.images[0] || null;
+
+        const meal = await findOwnMeal(req, res, "update");
+        if (!meal) return;
+
+        const updated = await mealsCollection.findOneAndUpdate(
+          { _id: meal._id },
+          { $set: { ...changes, updatedAt: new Date().toISOString() } },
+          { returnDocument: "after" }
+        );
+        if (changes.images) updated.imageVariants = await syncMealImages(meal._id, req.user.email, changes.images);
+        res.json({ success: true, modifiedCount: 1, meal: updated });
+      } catch (err) {
+        console.error("Error updating meal:", err);
+        res.status(500).json({ message: "Failed to update meal" });
+      }
+    };
+
+    // ✅ draft <-> published <-> archived - body: { status }
+    const setMealStatus = async (req, res) => {
+      try {
+        const { status } = req.body;
+        const meal = await findOwnMeal(req, res, "update");
+        if (!meal) return;
+
+        const updated = await mealsCollection.findOneAndUpdate(
+          { _id: meal._id },
+          { $set: { status, updatedAt: new Date().toISOString() } },
+          { returnDocument: "after" }
+        );
+        res.json({ success: true, meal: updated });
+      } catch (err) {
+        console.error("Error changing meal status:", err);
+        res.status(500).json({ message: "Failed to change meal status" });
+      }
+    };
+
+    // ✅ Soft delete: hidden everywhere, but orders/favorites/reviews still resolve it
+    const deleteMeal = async (req, res) => {
+      try {
+        const meal = await findOwnMeal(req, res, "delete");
+        if (!meal) return;
+
+        const now = new Date().toISOString();
+        await mealsCollection.updateOne(
+          { _id: meal._id },
+          { $set: { status: "archived", deletedAt: now, updatedAt: now } }
+        );
+        await imagesCollection.updateMany(
+          { mealId: meal._id, status: "attached" },
+          { $set: { status: "orphaned", orphanedAt: now } }
+        );
+        res.json({ success: true, deletedCount: 1 });
+      } catch (err) {
+        console.error("Error deleting meal:", err);
+        res.status(500).json({ message: "Failed to delete meal" });
+      }
+    };
+
+    // ✅ Coupon handlers, mounted on /admin/coupons and /chef/coupons
+    // admins manage every coupon (platform funded), chefs only their own ones, always limited to their meals
+    const couponScope = (req) => (req.user.role === "admin" ? {} : { ownerChefId: req.user.chefId });
+
+    // rules that need more than one field (or the database)
+    const couponRuleErrors = async (coupon, user) => {
+      const errors = [];
+      if (coupon.type === "percentage" && coupon.value > 100) {
+        errors.push({ field: "value", message: "a percentage can be at most 100" });
+      }
+      if (coupon.startsAt && coupon.expiresAt && coupon.startsAt >= coupon.expiresAt) {
+        errors.push({ field: "expiresAt", message: "must be after startsAt" });
+      }
+      if (coupon.perUserLimit && coupon.usageLimit && coupon.perUserLimit > coupon.usageLimit) {
+        errors.push({ field: "perUserLimit", message: "can't be more than usageLimit" });
+      }
+      if (user.role === "chef" && coupon.mealIds?.length) {
+        const own = await mealsCollection.countDocuments({
+          _id: { $in: coupon.mealIds.map((id) => new ObjectId(id)) },
+          chefId: user.chefId,
+        });
+        if (own !== new Set(coupon.mealIds).size) {
+          errors.push({ field: "mealIds", message: "chefs can only discount their own meals" });
+        }
+      }
+      return errors;
+    };
+
+    // query: active (true/false), search (code), page, limit
+    const listCoupons = async (req, res) => {
+      try {
+        const filter = couponScope(req);
+        if (req.query.active) filter.active = req.query.active === "true";
+        if (req.query.search) filter.code = new RegExp(escapeRegex(normalizeCouponCode(req.query.search)));
+
+        const { items, pagination } = await paginate(couponsCollection, filter, {
+          ...parsePagination(req.query),
+          sort: parseSort(req.query, ["createdAt", "code", "expiresAt", "redemptions"]),
+        });
+        res.json({ success: true, coupons: items, pagination });
+      } catch (err) {
+        console.error("Error fetching coupons:", err);
+        res.status(500).json({ message: "Failed to fetch coupons" });
+      }
+    };
+
+    const createCoupon = async (req, res) => {
+      try {
+        const isChef = req.user.role === "chef";
+        const coupon = { ...req.body, code: normalizeCouponCode(req.body.code) };
+        if (isChef) coupon.chefIds = [req.user.chefId];
+
+        const errors = await couponRuleErrors(coupon, req.user);
+        if (errors.length) return validationError(res, errors);
+
+        const now = new Date().toISOString();
+        Object.assign(coupon, {
+          fundedBy: isChef ? "chef" : "platform",
+          ownerChefId: isChef ? req.user.chefId : null,
+          redemptions: 0,
+          createdBy: req.user.email,
+          createdAt: now,
+          updatedAt: now,
+        });
+        const result = await couponsCollection.insertOne(coupon);
+        res.json({ success: true, insertedId: result.insertedId, coupon });
+      } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ message: "A coupon with this code already exists" });
+        console.error("Error creating coupon:", err);
+        res.status(500).json({ message: "Failed to create coupon" });
+      }
+    };
+
+    // partial update, the rules are checked against the merged coupon
+    const updateCoupon = async (req, res) => {
+      try {
+        const filter = { _id: new ObjectId(req.params.id), ...couponScope(req) };
+        const coupon = await couponsCollection.findOne(filter);
+        if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+        const changes = { ...req.body };
+        if (changes.code) changes.code = normalizeCouponCode(changes.code);
+        if (req.user.role === "chef") delete changes.chefIds;
+
+        const errors = await couponRuleErrors({ ...coupon, ...changes }, req.user);
+        if (errors.length) return validationError(res, errors);
+
+        const updated = await couponsCollection.findOneAndUpdate(
+          filter,
+          { $set: { ...changes, updatedAt: new Date().toISOString() } },
+          { returnDocument: "after" }
+        );
+        res.json({ success: true, coupon: updated });
+      } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ message: "A coupon with this code already exists" });
+        console.error("Error updating coupon:", err);
+        res.status(500).json({ message: "Failed to update coupon" });
+      }
+    };
+
+    // orders keep pointing at used coupons, so they are only switched off
+    const deactivateCoupon = async (req, res) => {
+      try {
+        const updated = await couponsCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id), ...couponScope(req) },
+          { $set: { active: false, updatedAt: new Date().toISOString() } },
+          { returnDocument: "after" }
+        );
+        if (!updated) return res.status(404).json({ message: "Coupon not found" });
+        res.json({ success: true, coupon: updated });
+      } catch (err) {
+        console.error("Error deactivating coupon:", err);
+        res.status(500).json({ message: "Failed to deactivate coupon" });
+      }
+    };
+
+    // ✅ Root route
+    app.get("/", (req, res) => {
+      res.send("🚀 LocalChef Server Running...");
+    });
+
+    // ---------------- Admin Endpoints ----------------
+
+// ✅ Get users (Admin only)
+// query: role, status, search (name/email), from, to (registration date),
+//        sort (createdAt|name|email|role|status), order, page, limit
+app.get("/admin/users", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = String(req.query.role);
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    const createdAt = parseDateRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const { items, pagination } = await paginate(usersCollection, filter, {
+      ...parsePagination(req.query),
+      sort: parseSort(req.query, ["createdAt", "name", "email", "role", "status"]),
+      projection: { firebaseUid: 0 },
+    });
+    res.json({ success: true, users: items, pagination });
+  } catch (err) {
+    console.error("Error fetching users:", err);
+    res.status(500).json({ message: "Failed to fetch users" });
+  }
+});
+
+// ✅ Suspend user (Admin only) - body: { reason, until? (ISO date) }
+app.patch("/admin/users/:id/suspend", verifyToken, verifyRole("admin"), validateBody(SUSPEND_SCHEMA), async (req, res) => {
+  try {
+    const changes = { status: "suspended" };
+    const unset = [];
+    if (req.body.until) {
+      if (new Date(req.body.until) <= new Date()) {
+        return validationError(res, [{ field: "until", message: "must be a future date" }]);
+      }
+      changes.suspendedUntil = req.body.until;
+    } else {
+      unset.push("suspendedUntil");
+    }
+
+    const result = await applyAdminUserAction(req, "user.suspend", changes, unset);
+    if (!result.user) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    console.error("Error suspending user:", err);
+    res.status(500).json({ message: "Failed to suspend user" });
+  }
+});
+
+// ✅ Mark user as fraud (Admin only) - can log in, but can't order or publish meals - body: { reason }
+app.patch("/admin/users/:id/ban", verifyToken, verifyRole("admin"), validateBody(ADMIN_ACTION_SCHEMA), async (req, res) => {
+  try {
+    const result = await applyAdminUserAction(req, "user.ban", { status: "fraud" }, ["suspendedUntil"]);
+    if (!result.user) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    console.error("Error banning user:", err);
+    res.status(500).json({ message: "Failed to ban user" });
+  }
+});
+
+// ✅ Reactivate user (Admin only) - body: { reason }
+app.patch("/admin/users/:id/reactivate", verifyToken, verifyRole("admin"), validateBody(ADMIN_ACTION_SCHEMA), async (req, res) => {
+  try {
+    const result = await applyAdminUserAction(req, "user.reactivate", { status: "active" }, ["suspendedUntil"]);
+    if (!result.user) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    console.error("Error reactivating user:", err);
+    res.status(500).json({ message: "Failed to reactivate user" });
+  }
+});
 
-    // ✅ Root route
-    app.get("/", (req, res) => {
-      res.send("🚀 LocalChef Server Running...");
+// ✅ Change user role (Admin only) - body: { role: "user" | "chef" | "admin", reason }
+app.patch("/admin/users/:id/role", verifyToken, verifyRole("admin"), validateBody(ROLE_SCHEMA), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    // ✅ a chefId is only allocated once the request is known to change something
+    const result = await applyAdminUserAction(req, "user.role", async (user) => {
+      if (user.role === role) return { status: 409, message: `User is already ${role}` };
+      const changes = { role };
+      // keep an existing chefId so old meals/orders still point to this chef
+      if (role === "chef" && !user.chefId) changes.chefId = await newChefId();
+      return { changes };
     });
+    if (!result.user) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    console.error("Error changing role:", err);
+    res.status(500).json({ message: "Failed to change role" });
+  }
+});
 
-    // ---------------- Admin Endpoints ----------------
-
-// ✅ Get all users (Admin only)
-app.get("/admin/users", verifyToken, verifyRole("admin"), async (req, res) => {
+// ✅ Audit trail of a user (Admin only)
+app.get("/admin/users/:id/audit", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const users = await usersCollection.find().toArray();
-    res.json(users);
+    const { items, pagination } = await paginate(
+      auditLogsCollection,
+      { targetUserId: new ObjectId(req.params.id) },
+      { ...parsePagination(req.query), sort: { at: -1, _id: -1 } }
+    );
+    res.json({ success: true, logs: items, pagination });
   } catch (err) {
-    console.error("Error fetching users:", err);
-    res.status(500).json({ message: "Failed to fetch users" });
+    console.error("Error fetching audit logs:", err);
+    res.status(500).json({ message: "Failed to fetch audit logs" });
   }
 });
 
-// ✅ Get all orders (Admin only)
+// ✅ Get orders (Admin only)
+// query: status, paymentStatus, chefId, userEmail, from, to (order time),
+//        sort (orderTime|total|orderStatus|paymentStatus), order, page, limit
 app.get("/admin/orders", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const orders = await ordersCollection.find().toArray();
-    res.json(orders);
+    const filter = {};
+    if (req.query.status) filter.orderStatus = String(req.query.status);
+    if (req.query.paymentStatus) filter.paymentStatus = String(req.query.paymentStatus);
+    if (req.query.chefId) filter.chefId = String(req.query.chefId);
+    if (req.query.userEmail) filter.userEmail = String(req.query.userEmail);
+    const orderTime = parseDateRange(req.query);
+    if (orderTime) filter.orderTime = orderTime;
+
+    const { items, pagination } = await paginate(ordersCollection, filter, {
+      ...parsePagination(req.query),
+      sort: parseSort(req.query, ["orderTime", "total", "orderStatus", "paymentStatus"]),
+    });
+    res.json({ success: true, orders: items, pagination });
   } catch (err) {
     console.error("Error fetching orders:", err);
     res.status(500).json({ message: "Failed to fetch orders" });
   }
 });
 
-// ✅ Get platform statistics (Admin only)
-app.get("/admin/stats", verifyToken, verifyRole("admin"), async (req, res) => {
+// ✅ Cancel any order (Admin only, e.g. on customer support request)
+app.put(
+  "/admin/orders/:id/cancel",
+  verifyToken,
+  verifyRole("admin"),
+  orderStatusRoute("cancelled", () => ({}), "cancel order")
+);
+
+// ✅ Issue a manual refund (Admin only)
+// body: { amount } (optional, defaults to the remaining order total), { reason }
+app.post("/admin/orders/:id/refunds", verifyToken, verifyRole("admin"), validateBody(REFUND_SCHEMA), async (req, res) => {
   try {
-    const totalUsers = await usersCollection.countDocuments();
-    const totalMeals = await mealsCollection.countDocuments();
-    const totalOrders = await ordersCollection.countDocuments();
+    const order = await ordersCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const { amount, reason } = req.body;
 
-    // ✅ Revenue calculation (sum of paid orders)
-    const paidOrders = await ordersCollection.find({ paymentStatus: "paid" }).toArray();
-    const revenue = paidOrders.reduce((sum, order) => sum + (order.price || 0), 0);
+    const result = await refundOrder(order, { amount, reason: reason || "Manual refund", actor: req.user });
+    if (!result.refund) return res.status(result.status).json({ message: result.message });
 
-    res.json({ totalUsers, totalMeals, totalOrders, revenue });
+    res.json({ success: true, refund: result.refund, order: result.order });
   } catch (err) {
-    console.error("Error fetching stats:", err);
-    res.status(500).json({ message: "Failed to fetch stats" });
+    console.error("Error refunding order:", err);
+    res.status(500).json({ message: "Failed to refund order" });
   }
 });
 
+// ✅ Get refunds of an order (Admin only)
+app.get("/admin/orders/:id/refunds", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const refunds = await refundsCollection
+      .find({ orderId: new ObjectId(req.params.id) })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json({ success: true, refunds });
+  } catch (err) {
+    console.error("Error fetching refunds:", err);
+    res.status(500).json({ message: "Failed to fetch refunds" });
+  }
+});
 
+// ✅ Get platform statistics (Admin only)
+app.get("/admin/stats", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const [totalUsers, totalMeals, totalOrders, [revenueStats]] = await Promise.all([
+      usersCollection.countDocuments(),
+      mealsCollection.countDocuments(),
+      ordersCollection.countDocuments(),
+      // ✅ Revenue calculation (sum of paid orders, minus refunds)
+      ordersCollection
+        .aggregate([
+          { $match: { paymentStatus: { $in: REVENUE_PAYMENT_STATUSES } } },
+          { $group: { _id: null, revenue: { $sum: netRevenueExpr }, paidOrders: { $sum: 1 } } },
+        ])
+        .toArray(),
+    ]);
 
-// ---------------- Chef Endpoints ----------------
+    res.json({
+      totalUsers,
+      totalMeals,
+      totalOrders,
+      paidOrders: revenueStats?.paidOrders || 0,
+      revenue: Math.round((revenueStats?.revenue || 0) * 100) / 100,
+    });
+  } catch (err) {
+    console.error("Error fetching stats:", err);
+    res.status(500).json({ message: "Failed to fetch stats" });
+  }
+});
 
-// ✅ Get all meals of logged-in chef
-app.get("/chef/meals", verifyToken, verifyRole("chef"), async (req, res) => {
+// ✅ Analytics over a date range, all computed in MongoDB (Admin only)
+// query: from, to (default last 30 days), interval (day|week|month), timezone (default UTC), top (default 5)
+app.get("/admin/analytics", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const meals = await mealsCollection.find({ chefId: req.user.id }).toArray();
-    res.json(meals);
+    const interval = ANALYTICS_INTERVALS.includes(req.query.interval) ? req.query.interval : "day";
+    const timezone = req.query.timezone ? String(req.query.timezone) : "UTC";
+    if (!isValidTimezone(timezone)) {
+      return validationError(res, [{ field: "timezone", message: "must be a time zone name like Asia/Dhaka" }]);
+    }
+    const top = Math.min(Math.max(parseInt(req.query.top) || 5, 1), 50);
+    const range = analyticsRange(req.query);
+    const bucket = (date) => ({ $dateTrunc: { date, unit: interval, timezone } });
+    const round = (value) => ({ $round: [value, 2] });
+
+    const [[revenue], statusBreakdown, userGrowth] = await Promise.all([
+      ordersCollection
+        .aggregate([
+          { $match: { orderTime: range, paymentStatus: { $in: REVENUE_PAYMENT_STATUSES } } },
+          { $addFields: { orderDate: { $toDate: "$orderTime" }, netRevenue: netRevenueExpr } },
+          {
+            $facet: {
+              totals: [
+                {
+                  $group: {
+                    _id: null,
+                    revenue: { $sum: "$netRevenue" },
+                    orders: { $sum: 1 },
+                    averageOrderValue: { $avg: { $ifNull: ["$total", "$price"] } },
+                  },
+                },
+                {
+                  $project: {
+                    _id: 0,
+                    revenue: round("$revenue"),
+                    orders: 1,
+                    averageOrderValue: round("$averageOrderValue"),
+                  },
+                },
+              ],
+              timeSeries: [
+                {
+                  $group: {
+                    _id: bucket("$orderDate"),
+                    revenue: { $sum: "$netRevenue" },
+                    orders: { $sum: 1 },
+                  },
+                },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, period: "$_id", revenue: round("$revenue"), orders: 1 } },
+              ],
+              topChefs: [
+                {
+                  $group: {
+                    _id: "$chefId",
+                    chefName: { $first: "$chefName" },
+                    revenue: { $sum: "$netRevenue" },
+                    orders: { $sum: 1 },
+                  },
+                },
+                { $sort: { revenue: -1 } },
+                { $limit: top },
+                { $project: { _id: 0, chefId: "$_id", chefName: 1, revenue: round("$revenue"), orders: 1 } },
+              ],
+              topMeals: [
+                // orders from before multi-item carts have no items array
+                { $unwind: { path: "$items", preserveNullAndEmptyArrays: true } },
+                {
+                  $group: {
+                    _id: { $ifNull: ["$items.mealId", "$mealId"] },
+                    mealName: { $first: { $ifNull: ["$items.mealName", "$mealName"] } },
+                    revenue: { $sum: { $ifNull: ["$items.lineTotal", "$netRevenue"] } },
+                    quantity: { $sum: { $ifNull: ["$items.quantity", 1] } },
+                  },
+                },
+                { $sort: { revenue: -1 } },
+                { $limit: top },
+                { $project: { _id: 0, mealId: "$_id", mealName: 1, revenue: round("$revenue"), quantity: 1 } },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      ordersCollection
+        .aggregate([
+          { $match: { orderTime: range } },
+          {
+            $facet: {
+              orderStatus: [
+                { $group: { _id: { $ifNull: ["$orderStatus", "pending"] }, count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+              ],
+              paymentStatus: [
+                { $group: { _id: { $ifNull: ["$paymentStatus", "unpaid"] }, count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      usersCollection
+        .aggregate([
+          // users registered before createdAt existed fall back to the ObjectId timestamp
+          { $addFields: { joinedAt: { $ifNull: [{ $toDate: "$createdAt" }, { $toDate: "$_id" }] } } },
+          { $match: { joinedAt: { $gte: new Date(range.$gte), $lte: new Date(range.$lte) } } },
+          { $group: { _id: bucket("$joinedAt"), users: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: "$_id", users: 1 } },
+        ])
+        .toArray(),
+    ]);
+
+    const toCounts = (rows) => Object.fromEntries(rows.map((row) => [row._id, row.count]));
+
+    res.json({
+      success: true,
+      range: { from: range.$gte, to: range.$lte, interval, timezone },
+      totals: revenue.totals[0] || { revenue: 0, orders: 0, averageOrderValue: 0 },
+      timeSeries: revenue.timeSeries,
+      orderStatus: toCounts(statusBreakdown[0].orderStatus),
+      paymentStatus: toCounts(statusBreakdown[0].paymentStatus),
+      topChefs: revenue.topChefs,
+      topMeals: revenue.topMeals,
+      userGrowth,
+    });
   } catch (err) {
-    console.error("Error fetching meals:", err);
-    res.status(500).json({ message: "Failed to fetch meals" });
+    console.error("Error fetching analytics:", err);
+    res.status(500).json({ message: "Failed to fetch analytics" });
   }
 });
 
-// ✅ Add new meal
-app.post("/chef/meals", verifyToken, verifyRole("chef"), async (req, res) => {
+
+
+// ---------------- Chef Endpoints ----------------
+
+// ✅ Kitchen location and delivery radius of logged-in chef
+app.get("/chef/kitchen", verifyToken, verifyRole("chef"), async (req, res) => {
   try {
-    const newMeal = { ...req.body, chefId: req.user.id };
-    const result = await mealsCollection.insertOne(newMeal);
-    res.json(result);
+    const user = await usersCollection.findOne({ email: req.user.email }, { projection: { kitchen: 1 } });
+    res.json({ success: true, kitchen: user?.kitchen || null });
   } catch (err) {
-    console.error("Error adding meal:", err);
-    res.status(500).json({ message: "Failed to add meal" });
+    console.error("Error fetching kitchen:", err);
+    res.status(500).json({ message: "Failed to fetch kitchen" });
   }
 });
 
-// ✅ Update meal
-app.put("/chef/meals/:id", verifyToken, verifyRole("chef"), async (req, res) => {
+// ✅ Set kitchen location - body: { lat, lng, address?, deliveryRadiusKm? }
+// copied onto all of the chef's meals so /meals?lat=&lng= can use the meals 2dsphere index
+app.put("/chef/kitchen", verifyToken, verifyRole("chef"), requireChefId, validateBody(KITCHEN_SCHEMA), async (req, res) => {
   try {
-    const id = req.params.id;
-    const updateDoc = { $set: req.body };
-    const result = await mealsCollection.updateOne(
-      { _id: new ObjectId(id), chefId: req.user.id },
-      updateDoc
+    const { lat, lng, address, deliveryRadiusKm } = req.body;
+    const kitchen = {
+      location: toPoint(lat, lng),
+      address: address || null,
+      deliveryRadiusKm,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await usersCollection.updateOne({ email: req.user.email }, { $set: { kitchen } });
+    const meals = await mealsCollection.updateMany(
+      chefOwnedFilter(req.user),
+      { $set: { location: kitchen.location, deliveryRadiusKm } }
     );
-    res.json(result);
+
+    res.json({ success: true, kitchen, mealsUpdated: meals.modifiedCount });
   } catch (err) {
-    console.error("Error updating meal:", err);
-    res.status(500).json({ message: "Failed to update meal" });
+    console.error("Error saving kitchen:", err);
+    res.status(500).json({ message: "Failed to save kitchen" });
   }
 });
 
+// ✅ Get all meals of logged-in chef (drafts and archived too)
+// query: status, includeDeleted
+app.get("/chef/meals", verifyToken, verifyRole("chef"), requireChefId, listChefMeals);
+
+// ✅ Add new meal
+app.post(
+  "/chef/meals",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(MEAL_SCHEMA),
+  createMeal
+);
+
+// ✅ Update meal
+app.put(
+  "/chef/meals/:id",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(MEAL_SCHEMA, { partial: true }),
+  updateMeal
+);
+
+// ✅ Publish / unpublish / archive meal
+app.patch(
+  "/chef/meals/:id/status",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(MEAL_STATUS_SCHEMA),
+  setMealStatus
+);
+
 // ✅ Delete meal
-app.delete("/chef/meals/:id", verifyToken, verifyRole("chef"), async (req, res) => {
+app.delete("/chef/meals/:id", verifyToken, verifyRole("chef"), requireChefId, deleteMeal);
+
+// ✅ Upload meal images before the meal exists (multipart field "images", up to 8)
+// put the returned urls into images of POST/PUT /chef/meals, unused uploads are removed after a day
+app.post(
+  "/uploads/images",
+  verifyToken,
+  verifyRole("chef"),
+  verifyActive,
+  handleUpload(imageUpload.array("images", MAX_MEAL_IMAGES)),
+  async (req, res) => {
+    try {
+      const images = await storeUploadedImages(req, res, "images", { kind: "meal", variants: MEAL_IMAGE_VARIANTS });
+      if (!images) return;
+      res.status(201).json({ success: true, images: images.map(imageUrls) });
+    } catch (err) {
+      console.error("Error uploading images:", err);
+      res.status(500).json({ message: "Failed to upload images" });
+    }
+  }
+);
+
+// ✅ Upload images straight onto a meal (appended to its images)
+app.post(
+  "/chef/meals/:id/images",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  handleUpload(imageUpload.array("images", MAX_MEAL_IMAGES)),
+  async (req, res) => {
+    try {
+      const meal = await findOwnMeal(req, res, "update");
+      if (!meal) return;
+
+      const current = meal.images || (meal.foodImage ? [meal.foodImage] : []);
+      const count = (req.files || []).length;
+      if (current.length + count > MAX_MEAL_IMAGES) {
+        return validationError(res, [
+          { field: "images", message: `a meal can have at most ${MAX_MEAL_IMAGES} images (${current.length} already)` },
+        ]);
+      }
+
+      const uploaded = await storeUploadedImages(req, res, "images", { kind: "meal", variants: MEAL_IMAGE_VARIANTS });
+      if (!uploaded) return;
+
+      const images = [...current, ...uploaded.map((image) => image.url)];
+      await mealsCollection.updateOne(
+        { _id: meal._id },
+        { $set: { images, foodImage: images[0], updatedAt: new Date().toISOString() } }
+      );
+      const imageVariants = await syncMealImages(meal._id, req.user.email, images);
+      res.status(201).json({ success: true, images, imageVariants });
+    } catch (err) {
+      console.error("Error uploading meal images:", err);
+      res.status(500).json({ message: "Failed to upload meal images" });
+    }
+  }
+);
+
+// ✅ Remove one uploaded image from a meal (the files are removed by the orphan cleanup)
+app.delete("/chef/meals/:id/images/:imageId", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
   try {
-    const id = req.params.id;
-    const result = await mealsCollection.deleteOne({
-      _id: new ObjectId(id),
-      chefId: req.user.id,
-    });
-    res.json(result);
+    if (!isObjectId(req.params.imageId)) return validationError(res, [{ field: "imageId", message: "must be a valid id" }]);
+
+    const meal = await findOwnMeal(req, res, "update");
+    if (!meal) return;
+
+    const image = await imagesCollection.findOne({ _id: new ObjectId(req.params.imageId), mealId: meal._id, status: "attached" });
+    if (!image) return res.status(404).json({ message: "Image not found on this meal" });
+
+    const images = (meal.images || []).filter((url) => url !== image.url);
+    await mealsCollection.updateOne(
+      { _id: meal._id },
+      { $set: { images, foodImage: images[0] || null, updatedAt: new Date().toISOString() } }
+    );
+    const imageVariants = await syncMealImages(meal._id, req.user.email, images);
+    res.json({ success: true, images, imageVariants });
   } catch (err) {
-    console.error("Error deleting meal:", err);
-    res.status(500).json({ message: "Failed to delete meal" });
+    console.error("Error removing meal image:", err);
+    res.status(500).json({ message: "Failed to remove meal image" });
   }
 });
 
 // ✅ Get order requests for chef's meals
-app.get("/chef/orders", verifyToken, verifyRole("chef"), async (req, res) => {
+app.get("/chef/orders", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
   try {
-    const orders = await ordersCollection.find({ chefId: req.user.id }).toArray();
+    const orders = await ordersCollection.find(chefOwnedFilter(req.user)).toArray();
     res.json(orders);
   } catch (err) {
     console.error("Error fetching orders:", err);
@@ -180,34 +3515,58 @@ app.get("/chef/orders", verifyToken, verifyRole("chef"), async (req, res) => {
 });
 
 // ✅ Accept order
-app.put("/chef/orders/:id/accept", verifyToken, verifyRole("chef"), async (req, res) => {
-  try {
-    const id = req.params.id;
-    const result = await ordersCollection.updateOne(
-      { _id: new ObjectId(id), chefId: req.user.id },
-      { $set: { orderStatus: "accepted" } }
-    );
-    res.json(result);
-  } catch (err) {
-    console.error("Error accepting order:", err);
-    res.status(500).json({ message: "Failed to accept order" });
-  }
-});
+app.put(
+  "/chef/orders/:id/accept",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("accepted", (req) => chefOwnedFilter(req.user), "accept order")
+);
 
 // ✅ Reject order
-app.put("/chef/orders/:id/reject", verifyToken, verifyRole("chef"), async (req, res) => {
-  try {
-    const id = req.params.id;
-    const result = await ordersCollection.updateOne(
-      { _id: new ObjectId(id), chefId: req.user.id },
-      { $set: { orderStatus: "rejected" } }
-    );
-    res.json(result);
-  } catch (err) {
-    console.error("Error rejecting order:", err);
-    res.status(500).json({ message: "Failed to reject order" });
-  }
-});
+app.put(
+  "/chef/orders/:id/reject",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("rejected", (req) => chefOwnedFilter(req.user), "reject order")
+);
+
+// ✅ Start cooking (accepted -> cooking)
+app.put(
+  "/chef/orders/:id/cooking",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("cooking", (req) => chefOwnedFilter(req.user), "start cooking order")
+);
+
+// ✅ Ready for pickup (cooking -> ready)
+app.put(
+  "/chef/orders/:id/ready",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("ready", (req) => chefOwnedFilter(req.user), "mark order ready")
+);
+
+// ✅ Out for delivery (cooking/ready -> out-for-delivery)
+app.put(
+  "/chef/orders/:id/out-for-delivery",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("out-for-delivery", (req) => chefOwnedFilter(req.user), "dispatch order")
+);
+
+// ✅ Delivered (ready/out-for-delivery -> delivered)
+app.put(
+  "/chef/orders/:id/delivered",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("delivered", (req) => chefOwnedFilter(req.user), "mark order delivered")
+);
 
 
 
@@ -228,23 +3587,8 @@ app.get("/user/dashboard", verifyToken, async (req, res) => {
   }
 });
 
-// ✅ Place new order
-app.post("/user/orders", verifyToken, async (req, res) => {
-  try {
-    const orderData = {
-      ...req.body,
-      userEmail: req.user.email,
-      orderStatus: "pending",
-      paymentStatus: "unpaid",
-      orderTime: new Date(),
-    };
-    const result = await ordersCollection.insertOne(orderData);
-    res.json(result);
-  } catch (err) {
-    console.error("Error placing order:", err);
-    res.status(500).json({ message: "Failed to place order" });
-  }
-});
+// ✅ Place new order (prices come from the meals, not the client)
+app.post("/user/orders", verifyToken, verifyActive, validateBody(ORDER_SCHEMA), placeOrder);
 
 // ✅ Get all orders of logged-in user
 app.get("/user/orders", verifyToken, async (req, res) => {
@@ -258,14 +3602,13 @@ app.get("/user/orders", verifyToken, async (req, res) => {
   }
 });
 
-// ✅ Add meal to favorites
-app.post("/user/favorites", verifyToken, async (req, res) => {
+// ✅ Add meal to favorites (body: { mealId })
+app.post("/user/favorites", verifyToken, validateBody(FAVORITE_SCHEMA), async (req, res) => {
   try {
-    const favoriteData = {
-      ...req.body,
-      userEmail: req.user.email,
-    };
-    const result = await favoritesCollection.insertOne(favoriteData);
+    const { favorite, status, message } = await buildFavorite(req.body.mealId, req.user.email);
+    if (!favorite) return res.status(status).json({ message });
+
+    const result = await favoritesCollection.insertOne(favorite);
     res.json(result);
   } catch (err) {
     console.error("Error adding favorite:", err);
@@ -285,127 +3628,521 @@ app.get("/user/favorites", verifyToken, async (req, res) => {
   }
 });
 
+// ✅ Upload profile picture (multipart field "avatar"), the previous upload becomes an orphan
+app.post("/user/avatar", verifyToken, handleUpload(imageUpload.single("avatar")), async (req, res) => {
+  try {
+    const uploaded = await storeUploadedImages(req, res, "avatar", { kind: "avatar", variants: AVATAR_VARIANTS });
+    if (!uploaded) return;
+
+    const [image] = uploaded;
+    const now = new Date().toISOString();
+    await imagesCollection.updateMany(
+      { kind: "avatar", ownerEmail: req.user.email, status: "attached" },
+      { $set: { status: "orphaned", orphanedAt: now } }
+    );
+    await imagesCollection.updateOne({ _id: image._id }, { $set: { status: "attached" } });
+    await usersCollection.updateOne({ email: req.user.email }, { $set: { avatar: image.url, avatarVariants: imageUrls(image) } });
+
+    res.status(201).json({ success: true, avatar: image.url, avatarVariants: imageUrls(image) });
+  } catch (err) {
+    console.error("Error uploading avatar:", err);
+    res.status(500).json({ message: "Failed to upload avatar" });
+  }
+});
+
+// ✅ Saved delivery addresses of logged-in user
+app.get("/user/addresses", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email }, { projection: { addresses: 1 } });
+    res.json({ success: true, addresses: user?.addresses || [] });
+  } catch (err) {
+    console.error("Error fetching addresses:", err);
+    res.status(500).json({ message: "Failed to fetch addresses" });
+  }
+});
+
+// ✅ Add delivery address - the first one (or isDefault: true) becomes the default
+app.post("/user/addresses", verifyToken, validateBody(ADDRESS_SCHEMA), async (req, res) => {
+  try {
+    const { lat, lng, isDefault, ...details } = req.body;
+    const user = await usersCollection.findOne({ email: req.user.email }, { projection: { addresses: 1 } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const addresses = user.addresses || [];
+    if (addresses.length >= MAX_ADDRESSES) {
+      return res.status(409).json({ message: `You can save at most ${MAX_ADDRESSES} addresses` });
+    }
+
+    const address = {
+      _id: new ObjectId(),
+      ...details,
+      location: toPoint(lat, lng),
+      isDefault: addresses.length === 0 || Boolean(isDefault),
+      createdAt: new Date().toISOString(),
+    };
+    if (address.isDefault) addresses.forEach((a) => (a.isDefault = false));
+
+    await usersCollection.updateOne({ _id: user._id }, { $set: { addresses: [...addresses, address] } });
+    res.json({ success: true, address });
+  } catch (err) {
+    console.error("Error adding address:", err);
+    res.status(500).json({ message: "Failed to add address" });
+  }
+});
+
+// ✅ Update delivery address (any ADDRESS_SCHEMA field, lat and lng together)
+app.put("/user/addresses/:id", verifyToken, validateBody(ADDRESS_SCHEMA, { partial: true }), async (req, res) => {
+  try {
+    const { lat, lng, isDefault, ...details } = req.body;
+    if ((lat === undefined) !== (lng === undefined)) {
+      return validationError(res, [{ field: "lat", message: "lat and lng must be sent together" }]);
+    }
+
+    const user = await usersCollection.findOne({ email: req.user.email }, { projection: { addresses: 1 } });
+    const addresses = user?.addresses || [];
+    const address = addresses.find((a) => a._id.toString() === req.params.id);
+    if (!address) return res.status(404).json({ message: "Address not found" });
+
+    Object.assign(address, details, { updatedAt: new Date().toISOString() });
+    if (lat !== undefined) address.location = toPoint(lat, lng);
+    if (isDefault) addresses.forEach((a) => (a.isDefault = a === address));
+
+    await usersCollection.updateOne({ _id: user._id }, { $set: { addresses } });
+    res.json({ success: true, address });
+  } catch (err) {
+    console.error("Error updating address:", err);
+    res.status(500).json({ message: "Failed to update address" });
+  }
+});
+
+// ✅ Delete delivery address (the next one becomes default if needed)
+app.delete("/user/addresses/:id", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email }, { projection: { addresses: 1 } });
+    const addresses = user?.addresses || [];
+    const removed = addresses.find((a) => a._id.toString() === req.params.id);
+    if (!removed) return res.status(404).json({ message: "Address not found" });
+
+    const remaining = addresses.filter((a) => a !== removed);
+    if (removed.isDefault && remaining.length) remaining[0].isDefault = true;
+
+    await usersCollection.updateOne({ _id: user._id }, { $set: { addresses: remaining } });
+    res.json({ success: true, deletedCount: 1 });
+  } catch (err) {
+    console.error("Error deleting address:", err);
+    res.status(500).json({ message: "Failed to delete address" });
+  }
+});
+
 
 
     // 👉 এখান থেকে আমরা auth, users, requests, orders, stats routes লিখব step by step
 
   // ---------------- AUTH ----------------
 
-// ✅ Register new user (Firebase handles password)
-app.post("/auth/register", async (req, res) => {
+// ✅ Register new user (Firebase handles password, we verify its ID token)
+// body: { idToken, name, address, avatar } - email comes from the token, role is always "user"
+app.post("/auth/register", validateBody(REGISTER_SCHEMA), async (req, res) => {
   try {
-    const { name, email, address, avatar, role, status } = req.body;
+    const { idToken, name, address, avatar } = req.body;
+
+    let firebaseUser;
+    try {
+      firebaseUser = await verifyFirebaseIdToken(idToken);
+    } catch (err) {
+      if (!(err instanceof InvalidIdTokenError)) throw err;
+      return res.status(401).json({ success: false, message: "Invalid ID token" });
+    }
 
+    const { email } = firebaseUser;
     const existingUser = await usersCollection.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ message: "Email already exists" });
     }
 
     const newUser = {
-      name,
+      name: name || firebaseUser.name || null,
       email,
-      address,
-      avatar,
-      role: role || "user",
-      status: status || "active",
+      address: address || null,
+      avatar: avatar || firebaseUser.picture || null,
+      role: "user",
+      status: "active",
+      firebaseUid: firebaseUser.sub,
+      createdAt: new Date().toISOString(),
     };
 
-    await usersCollection.insertOne(newUser);
+    const result = await usersCollection.insertOne(newUser);
+    newUser._id = result.insertedId;
 
-    // ✅ Create JWT token
-    const token = jwt.sign(
-      { email: newUser.email, role: newUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // ✅ Start session (access + refresh cookies)
+    await startSession(req, res, newUser);
+    await queueMail(newUser.email, "welcome", { name: newUser.name });
 
-    // ✅ Set cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: false,
-      sameSite: "lax",
+    res.json({
+      success: true,
+      user: newUser,
     });
+  } catch (err) {
+    console.error("Registration error:", err);
+    res.status(500).json({ success: false, message: "Registration failed" });
+  }
+});
+
+
+
+// ✅ Login user (Firebase authenticates, backend verifies the ID token and fetches profile)
+// body: { idToken }
+app.post("/auth/login", validateBody(LOGIN_SCHEMA), async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    let firebaseUser;
+    try {
+      firebaseUser = await verifyFirebaseIdToken(idToken);
+    } catch (err) {
+      if (!(err instanceof InvalidIdTokenError)) throw err;
+      return res.status(401).json({ success: false, message: "Invalid ID token" });
+    }
+
+    let user = await usersCollection.findOne({ email: firebaseUser.email });
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    user = await expireSuspension(user);
+    if (user.status === "suspended") {
+      return res.status(403).json({
+        success: false,
+        message: "Account suspended",
+        reason: user.statusReason || null,
+        until: user.suspendedUntil || null,
+      });
+    }
+
+    // ✅ accounts created before token verification get linked on first login
+    if (!user.firebaseUid) {
+      await usersCollection.updateOne({ _id: user._id }, { $set: { firebaseUid: firebaseUser.sub } });
+    } else if (user.firebaseUid !== firebaseUser.sub) {
+      return res.status(401).json({ success: false, message: "Invalid ID token" });
+    }
+
+    // ✅ Start session (access + refresh cookies)
+    await startSession(req, res, user);
 
     res.json({
       success: true,
-      user: newUser,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        avatar: user.avatar || null,
+        address: user.address || null,
+        chefId: user.chefId || null,
+      },
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ success: false, message: "Login failed" });
+  }
+});
+
+// ✅ Get current user
+app.get("/auth/me", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        avatar: user.avatar || null,
+        address: user.address || null,
+        addresses: user.addresses || [],
+        status: user.status,
+        chefId: user.chefId || null,
+      },
+    });
+  } catch (err) {
+    console.error("Auth check error:", err);
+    res.status(500).json({ message: "Failed to fetch user" });
+  }
+});
+
+// ✅ Rotate the refresh token and issue a fresh access token
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.cookies?.refreshToken);
+    if (!parsed) return res.status(401).json({ message: "Unauthorized" });
+
+    const session = await sessionsCollection.findOne({ _id: parsed.sessionId });
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired" });
+    }
+
+    const presented = Buffer.from(hashToken(parsed.secret));
+    const stored = Buffer.from(session.refreshTokenHash);
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+      // an old (already rotated) token was replayed: assume it leaked and kill the session
+      await revokeSessions({ _id: session._id }, "refresh-token-reuse");
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired" });
+    }
+
+    let user = await usersCollection.findOne({ _id: session.userId });
+    if (user) user = await expireSuspension(user);
+    if (!user || user.status === "suspended") {
+      await revokeSessions({ _id: session._id }, user ? "user.suspend" : "user-deleted");
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired" });
+    }
+
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const rotated = await sessionsCollection.updateOne(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      { $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date(), ip: req.ip } }
+    );
+    if (rotated.modifiedCount === 0) {
+      return res.status(409).json({ message: "Session was refreshed concurrently, please retry" });
+    }
+
+    setAuthCookie(res, user, session._id);
+    setRefreshCookie(res, session._id, secret);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ message: "Failed to refresh session" });
+  }
+});
+
+// ✅ Logout (revokes this session only)
+app.post("/auth/logout", async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.cookies?.refreshToken);
+    if (parsed) await revokeSessions({ _id: parsed.sessionId }, "logout");
+
+    clearAuthCookies(res);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Logout failed" });
+  }
+});
+
+// ✅ Logout from every device
+app.post("/auth/logout-all", verifyToken, async (req, res) => {
+  try {
+    const result = await revokeSessions({ userId: new ObjectId(req.user.id) }, "logout-all");
+
+    clearAuthCookies(res);
+    res.json({ success: true, revokedSessions: result.modifiedCount });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ message: "Failed to logout from all devices" });
+  }
+});
+
+// ✅ Active sessions of logged-in user
+app.get("/auth/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await sessionsCollection
+      .find(
+        { userId: new ObjectId(req.user.id), revokedAt: null, expiresAt: { $gt: new Date() } },
+        { projection: { refreshTokenHash: 0 } }
+      )
+      .sort({ lastUsedAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching sessions:", err);
+    res.status(500).json({ message: "Failed to fetch sessions" });
+  }
+});
+
+// ✅ Revoke one of my sessions (e.g. a lost phone)
+app.delete("/auth/sessions/:id", verifyToken, async (req, res) => {
+  try {
+    const result = await revokeSessions(
+      { _id: new ObjectId(req.params.id), userId: new ObjectId(req.user.id) },
+      "revoked-by-user"
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: "Session not found" });
+
+    if (req.params.id === req.user.sid) clearAuthCookies(res);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error revoking session:", err);
+    res.status(500).json({ message: "Failed to revoke session" });
+  }
+});
+
+// ---------------- LIVE EVENTS ----------------
+
+// ✅ Server-sent events stream (EventSource with credentials, authenticated by the token cookie)
+// events: order.created (chef), order.status, payment.succeeded / processing / failed / expired,
+// payment.refunded (user + chef), request.created (admin)
+// the stream ends when the access token expires, the client reconnects after /auth/refresh
+app.get("/events/stream", verifyToken, (req, res) => {
+  const channels = [`user:${req.user.email}`];
+  if (req.user.role === "chef" && req.user.chefId) channels.push(`chef:${req.user.chefId}`);
+  if (req.user.role === "admin") channels.push("role:admin");
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx would buffer the stream otherwise
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ channels })}\n\n`);
+  subscribe(channels, res);
+
+  // comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_SECONDS * 1000);
+  const expiry = setTimeout(() => res.end(), req.user.exp * 1000 - Date.now());
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe(channels, res);
+  });
+});
+
+// ---------------- NOTIFICATIONS ----------------
+
+// ✅ Notifications of logged-in user (newest first)
+// query: unread (true), type, page, limit
+app.get("/notifications", verifyToken, async (req, res) => {
+  try {
+    const filter = { userEmail: req.user.email };
+    if (req.query.unread === "true") filter.readAt = null;
+    if (req.query.type) filter.type = String(req.query.type);
+
+    const { items, pagination } = await paginate(notificationsCollection, filter, {
+      ...parsePagination(req.query),
+      sort: { createdAt: -1, _id: -1 },
     });
+    const unreadCount = await notificationsCollection.countDocuments({ userEmail: req.user.email, readAt: null });
+
+    res.json({ success: true, notifications: items, unreadCount, pagination });
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    res.status(500).json({ message: "Failed to fetch notifications" });
+  }
+});
+
+// ✅ Unread badge count
+app.get("/notifications/unread-count", verifyToken, async (req, res) => {
+  try {
+    const unreadCount = await notificationsCollection.countDocuments({ userEmail: req.user.email, readAt: null });
+    res.json({ success: true, unreadCount });
   } catch (err) {
-    console.error("Registration error:", err);
-    res.status(500).json({ success: false, message: "Registration failed" });
+    console.error("Error counting notifications:", err);
+    res.status(500).json({ message: "Failed to count notifications" });
   }
 });
 
-
-
-// ✅ Login user (Firebase handles authentication, backend just fetches profile)
-app.post("/auth/login", async (req, res) => {
+// ✅ Mark all as read (optionally only one type: ?type=)
+app.patch("/notifications/read-all", verifyToken, async (req, res) => {
   try {
-    const { email } = req.body;
+    const filter = { userEmail: req.user.email, readAt: null };
+    if (req.query.type) filter.type = String(req.query.type);
 
-    const user = await usersCollection.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
+    const result = await notificationsCollection.updateMany(filter, { $set: { readAt: new Date().toISOString() } });
+    res.json({ success: true, modifiedCount: result.modifiedCount });
+  } catch (err) {
+    console.error("Error marking notifications read:", err);
+    res.status(500).json({ message: "Failed to mark notifications as read" });
+  }
+});
 
-    // ✅ Create JWT token with role + email
-    const token = jwt.sign(
-      { email: user.email, role: user.role, id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
+// ✅ Mark one as read
+app.patch("/notifications/:id/read", verifyToken, async (req, res) => {
+  try {
+    const notification = await notificationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), userEmail: req.user.email },
+      [{ $set: { readAt: { $ifNull: ["$readAt", new Date().toISOString()] } } }],
+      { returnDocument: "after" }
     );
-
-    // ✅ Set cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: false, // dev mode, production এ true করো
-      sameSite: "lax",
-    });
-
-    res.json({
-      success: true,
-      user: {
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        avatar: user.avatar || null,
-        address: user.address || null,
-      },
-    });
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+    res.json({ success: true, notification });
   } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ success: false, message: "Login failed" });
+    console.error("Error marking notification read:", err);
+    res.status(500).json({ message: "Failed to mark notification as read" });
   }
 });
 
-// ✅ Get current user
-app.get("/auth/me", verifyToken, async (req, res) => {
+// ✅ Delete a notification
+app.delete("/notifications/:id", verifyToken, async (req, res) => {
   try {
-    const user = await usersCollection.findOne({ email: req.user.email });
-    if (!user) return res.status(404).json({ message: "User not found" });
-
-    res.json({
-      user: {
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar || null,
-        address: user.address || null,
-        status: user.status,
-      },
+    const result = await notificationsCollection.deleteOne({
+      _id: new ObjectId(req.params.id),
+      userEmail: req.user.email,
     });
+    if (result.deletedCount === 0) return res.status(404).json({ message: "Notification not found" });
+    res.json({ success: true, deletedCount: 1 });
   } catch (err) {
-    console.error("Auth check error:", err);
-    res.status(500).json({ message: "Failed to fetch user" });
+    console.error("Error deleting notification:", err);
+    res.status(500).json({ message: "Failed to delete notification" });
   }
 });
 
-// ✅ Logout
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie("token").json({ message: "Logged out" });
+// ✅ Notification preferences (every type is on unless turned off)
+app.get("/notifications/preferences", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne(
+      { email: req.user.email },
+      { projection: { notificationPreferences: 1 } }
+    );
+    const saved = user?.notificationPreferences || {};
+    const preferences = Object.entries(NOTIFICATION_TYPES).map(([type, label]) => ({
+      type,
+      label,
+      enabled: saved[type] !== false,
+    }));
+    res.json({ success: true, preferences });
+  } catch (err) {
+    console.error("Error fetching notification preferences:", err);
+    res.status(500).json({ message: "Failed to fetch notification preferences" });
+  }
 });
 
+// ✅ Update preferences - body: { orderStatus: false, paymentSucceeded: true, ... }
+app.put(
+  "/notifications/preferences",
+  verifyToken,
+  validateBody(NOTIFICATION_PREFERENCES_SCHEMA, { partial: true }),
+  async (req, res) => {
+    try {
+      const $set = Object.fromEntries(
+        Object.entries(req.body).map(([type, enabled]) => [`notificationPreferences.${type}`, enabled])
+      );
+      const user = await usersCollection.findOneAndUpdate(
+        { email: req.user.email },
+        { $set },
+        { returnDocument: "after", projection: { notificationPreferences: 1 } }
+      );
+      if (!user) return res.status(404).json({ message: "User not found" });
+      res.json({ success: true, notificationPreferences: user.notificationPreferences });
+    } catch (err) {
+      console.error("Error saving notification preferences:", err);
+      res.status(500).json({ message: "Failed to save notification preferences" });
+    }
+  }
+);
+
 // ---------------- USER DASHBOARD ----------------
 app.get("/user/dashboard", verifyToken, async (req, res) => {
   try {
@@ -420,12 +4157,179 @@ app.get("/user/dashboard", verifyToken, async (req, res) => {
 });
 
 // ---------------- CHEF DASHBOARD ----------------
-app.get("/chef/dashboard", verifyToken, verifyRole("chef"), async (req, res) => {
+// query: from, to (default last 30 days), interval (day|week|month), timezone (default UTC)
+app.get("/chef/dashboard", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
   try {
-    const meals = await mealsCollection.find({ chefEmail: req.user.email }).toArray();
-    const requests = await requestsCollection.find({ chefEmail: req.user.email }).toArray();
+    const interval = ANALYTICS_INTERVALS.includes(req.query.interval) ? req.query.interval : "day";
+    const timezone = req.query.timezone ? String(req.query.timezone) : "UTC";
+    if (!isValidTimezone(timezone)) {
+      return validationError(res, [{ field: "timezone", message: "must be a time zone name like Asia/Dhaka" }]);
+    }
+    const range = analyticsRange(req.query);
+    const round = (value) => ({ $round: [value, 2] });
+    const ownOrders = chefOwnedFilter(req.user);
+
+    const meals = await mealsCollection
+      .find({ ...chefOwnedFilter(req.user), deletedAt: null }, { projection: { foodName: 1, mealName: 1, price: 1, foodImage: 1 } })
+      .toArray();
+
+    // earnings are the chef's payouts (after commission, tax stays with the platform), minus reversals
+    const [[earnings], [sales], [orders], ratings] = await Promise.all([
+      payoutsCollection
+        .aggregate([
+          { $match: { chefId: req.user.chefId, status: { $ne: "cancelled" } } },
+          { $addFields: { net: { $subtract: ["$amount", { $ifNull: ["$reversedAmount", 0] }] } } },
+          {
+            $facet: {
+              allTime: [{ $group: { _id: null, earnings: { $sum: "$net" }, orders: { $sum: 1 } } }],
+              periods: [
+                { $match: { createdAt: range } },
+                {
+                  $group: {
+                    _id: { $dateTrunc: { date: { $toDate: "$createdAt" }, unit: interval, timezone } },
+                    earnings: { $sum: "$net" },
+                    orders: { $sum: 1 },
+                  },
+                },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, period: "$_id", earnings: round("$earnings"), orders: 1 } },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      ordersCollection
+        .aggregate([
+          { $match: { ...ownOrders, paymentStatus: { $in: REVENUE_PAYMENT_STATUSES } } },
+          { $addFields: { netRevenue: netRevenueExpr } },
+          {
+            $facet: {
+              bestSellers: [
+                { $unwind: { path: "$items", preserveNullAndEmptyArrays: true } },
+                {
+                  $group: {
+                    _id: { $ifNull: ["$items.mealId", "$mealId"] },
+                    mealName: { $first: { $ifNull: ["$items.mealName", "$mealName"] } },
+                    quantity: { $sum: { $ifNull: ["$items.quantity", 1] } },
+                    revenue: { $sum: { $ifNull: ["$items.lineTotal", "$netRevenue"] } },
+                  },
+                },
+                { $sort: { quantity: -1, revenue: -1 } },
+                { $limit: 5 },
+                { $project: { _id: 0, mealId: "$_id", mealName: 1, quantity: 1, revenue: round("$revenue") } },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      ordersCollection
+        .aggregate([
+          { $match: ownOrders },
+          {
+            $addFields: {
+              status: { $ifNull: ["$orderStatus", "pending"] },
+              hasHistory: { $gt: [{ $size: { $ifNull: ["$statusHistory", []] } }, 0] },
+              // only moves the chef made count, payment auto-accepts orders as "system"
+              chefDecisions: {
+                $map: {
+                  input: {
+                    $filter: { input: { $ifNull: ["$statusHistory", []] }, cond: { $eq: ["$$this.by.role", "chef"] } },
+                  },
+                  in: "$$this.to",
+                },
+              },
+            },
+          },
+          {
+            $facet: {
+              byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+              decisions: [
+                {
+                  $group: {
+                    _id: null,
+                    // orders from before status history only tell us their current status
+                    accepted: {
+                      $sum: {
+                        $cond: [
+                          {
+                            $or: [
+                              { $in: ["accepted", "$chefDecisions"] },
+                              {
+                                $and: [
+                                  { $not: ["$hasHistory"] },
+                                  { $in: ["$status", ["accepted", "cooking", "ready", "out-for-delivery", "delivered"]] },
+                                ],
+                              },
+                            ],
+                          },
+                          1,
+                          0,
+                        ],
+                      },
+                    },
+                    rejected: {
+                      $sum: {
+                        $cond: [
+                          {
+                            $or: [
+                              { $in: ["rejected", "$chefDecisions"] },
+                              { $and: [{ $not: ["$hasHistory"] }, { $eq: ["$status", "rejected"] }] },
+                            ],
+                          },
+                          1,
+                          0,
+                        ],
+                      },
+                    },
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      reviewsCollection
+        .aggregate([
+          { $match: { foodId: { $in: meals.map((meal) => meal._id.toString()) }, ...PUBLIC_REVIEW_FILTER } },
+          { $group: { _id: "$foodId", averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } },
+        ])
+        .toArray(),
+    ]);
+
+    const byStatus = Object.fromEntries(orders.byStatus.map((row) => [row._id, row.count]));
+    const { accepted = 0, rejected = 0 } = orders.decisions[0] || {};
+    const decided = accepted + rejected;
+    const ratingByMeal = new Map(ratings.map((row) => [row._id, row]));
 
-    res.json({ meals, requests });
+    res.json({
+      success: true,
+      range: { from: range.$gte, to: range.$lte, interval, timezone },
+      earnings: {
+        total: Math.round((earnings.allTime[0]?.earnings || 0) * 100) / 100,
+        paidOrders: earnings.allTime[0]?.orders || 0,
+        periods: earnings.periods,
+      },
+      orders: {
+        byStatus,
+        pending: byStatus.pending || 0,
+        inProgress: ["accepted", "cooking", "ready", "out-for-delivery"].reduce((n, st) => n + (byStatus[st] || 0), 0),
+        delivered: byStatus.delivered || 0,
+        acceptanceRate: decided ? Math.round((accepted / decided) * 1000) / 10 : null, // %
+        rejectionRate: decided ? Math.round((rejected / decided) * 1000) / 10 : null, // %
+      },
+      meals: meals.map((meal) => {
+        const rating = ratingByMeal.get(meal._id.toString());
+        return {
+          mealId: meal._id,
+          mealName: meal.foodName || meal.mealName,
+          price: meal.price,
+          foodImage: meal.foodImage || null,
+          averageRating: rating ? Math.round(rating.averageRating * 10) / 10 : null,
+          reviewCount: rating?.reviewCount || 0,
+        };
+      }),
+      bestSellers: sales.bestSellers,
+    });
   } catch (err) {
     console.error("Chef dashboard error:", err);
     res.status(500).json({ message: "Failed to load chef dashboard" });
@@ -433,15 +4337,18 @@ app.get("/chef/dashboard", verifyToken, verifyRole("chef"), async (req, res) =>
 });
 
 // ---------------- ADMIN DASHBOARD ----------------
+// counts + the latest few records, full lists live behind the paginated endpoints
 app.get("/admin/dashboard", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const users = await usersCollection.find().toArray();
-    const requests = await requestsCollection.find().toArray();
-    const stats = {
-      totalUsers: await usersCollection.countDocuments(),
-      totalMeals: await mealsCollection.countDocuments(),
-      totalOrders: await ordersCollection.countDocuments(),
-    };
+    const [users, requests, totalUsers, totalMeals, totalOrders, pendingRequests] = await Promise.all([
+      usersCollection.find({}, { projection: { firebaseUid: 0 } }).sort({ _id: -1 }).limit(5).toArray(),
+      requestsCollection.find({ requestStatus: "pending" }).sort({ requestTime: -1 }).limit(5).toArray(),
+      usersCollection.countDocuments(),
+      mealsCollection.countDocuments(),
+      ordersCollection.countDocuments(),
+      requestsCollection.countDocuments({ requestStatus: "pending" }),
+    ]);
+    const stats = { totalUsers, totalMeals, totalOrders, pendingRequests };
 
     res.json({ users, requests, stats });
   } catch (err) {
@@ -454,21 +4361,68 @@ app.get("/admin/dashboard", verifyToken, verifyRole("admin"), async (req, res) =
 
 // ---------------- MEALS ----------------
 
-// ✅ Get meals (supports pagination + dynamic limit)
+// ✅ Get meals (search + filters + sorting + pagination)
+// query: search, minPrice, maxPrice, chefId, category, cuisine, minRating,
+//        dietary (comma separated, all must match), available, sort, page, limit,
+//        date (availability day), lat + lng (+ radiusKm): only meals that deliver there, nearest first
 app.get("/meals", async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
     const skip = (page - 1) * limit;
 
-    const totalMeals = await mealsCollection.countDocuments();
-    const meals = await mealsCollection.find()
-      .skip(skip)
-      .limit(limit)
-      .toArray();
+    const { filter, sort, projection, near, error } = buildMealQuery(req.query);
+    if (error) return validationError(res, [error]);
+    const slot = req.query.date ? slotForDate(req.query.date) : kitchenSlot(new Date());
+    if (!slot) return validationError(res, [{ field: "date", message: "must be a date like 2025-01-31" }]);
+
+    let meals;
+    let totalMeals;
+    if (near) {
+      // ✅ meals near me: within radiusKm of the user and inside the kitchen's own delivery radius
+      const [result] = await mealsCollection
+        .aggregate([
+          {
+            $geoNear: {
+              near: near.point,
+              distanceField: "distanceMeters",
+              maxDistance: near.radiusKm * 1000,
+              query: filter,
+              spherical: true,
+            },
+          },
+          {
+            $match: {
+              $expr: {
+                $lte: [
+                  "$distanceMeters",
+                  { $multiply: [{ $ifNull: ["$deliveryRadiusKm", DEFAULT_DELIVERY_RADIUS_KM] }, 1000] },
+                ],
+              },
+            },
+          },
+          { $addFields: { distanceKm: { $round: [{ $divide: ["$distanceMeters", 1000] }, 2] } } },
+          {
+            $facet: {
+              items: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+              total: [{ $count: "count" }],
+            },
+          },
+        ])
+        .toArray();
+      meals = result.items;
+      totalMeals = result.total[0]?.count || 0;
+    } else {
+      totalMeals = await mealsCollection.countDocuments(filter);
+      meals = await mealsCollection.find(filter, { projection })
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+    }
 
     res.json({
-      meals,
+      meals: await withAvailability(meals, slot),
       totalMeals,
       totalPages: Math.ceil(totalMeals / limit),
       currentPage: page,
@@ -479,229 +4433,602 @@ app.get("/meals", async (req, res) => {
   }
 });
 
-// ✅ Get single meal by ID
+// ✅ Meals picked for the logged-in user from their orders, favorites and highly rated categories
+// users without history (or with too few matches) get trending meals (recommendation.source "trending")
+// query: limit (default 10, max 50)
+app.get("/meals/recommended", verifyToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const { meals, seen } = await recommendMeals(req.user.email, limit);
+    const personalized = meals.length > 0;
+
+    if (meals.length < limit) {
+      const trending = await trendingMeals({ limit: limit - meals.length, exclude: [...seen, ...meals.map((m) => m._id)] });
+      meals.push(...trending.map((meal) => ({ ...meal, recommendation: { source: "trending", score: null, reasons: [] } })));
+    }
+
+    res.json({ success: true, personalized, meals: await withAvailability(meals) });
+  } catch (err) {
+    console.error("Error fetching recommended meals:", err);
+    res.status(500).json({ message: "Failed to fetch recommended meals" });
+  }
+});
+
+// ✅ Trending meals by recent orders (distinct customers, then portions)
+// meals with trending: null fill up the list from all-time popularity when orders are few
+// query: days (default TRENDING_DAYS, max 30), limit (default 10, max 50), category
+app.get("/meals/trending", async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || TRENDING_DAYS, 1), 30);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const categories = toList(req.query.category);
+    const filter = categories.length ? { category: { $in: categories } } : {};
+
+    const meals = await trendingMeals({ days, limit, filter });
+    res.json({ success: true, days, meals: await withAvailability(meals) });
+  } catch (err) {
+    console.error("Error fetching trending meals:", err);
+    res.status(500).json({ message: "Failed to fetch trending meals" });
+  }
+});
+
+// ✅ Get single meal by ID (with similarMeals)
+// archived/deleted meals are still returned (with status/deletedAt) so old orders resolve
+// query: date (YYYY-MM-DD) for soldOut/availability, default today
 app.get("/meals/:id", async (req, res) => {
   try {
+    const slot = req.query.date ? slotForDate(req.query.date) : kitchenSlot(new Date());
+    if (!slot) return validationError(res, [{ field: "date", message: "must be a date like 2025-01-31" }]);
+
     const meal = await mealsCollection.findOne({ _id: new ObjectId(req.params.id) });
-    if (!meal) return res.status(404).json({ message: "Meal not found" });
-    res.json(meal);
+    if (!meal || meal.status === "draft") return res.status(404).json({ message: "Meal not found" });
+
+    const [withStock] = await withAvailability([meal], slot);
+    res.json({ ...withStock, similarMeals: await similarMeals(meal) });
   } catch (err) {
     console.error("Error fetching meal:", err);
     res.status(500).json({ message: "Failed to fetch meal" });
   }
 });
 
-// ✅ Add new meal (only chef)
-app.post("/meals", verifyToken, verifyRole("chef"), async (req, res) => {
+// ✅ Pre-order calendar: the next days this meal can be ordered for
+// query: days (default and max MAX_PREORDER_DAYS)
+app.get("/meals/:id/availability", async (req, res) => {
   try {
-    const meal = {
-      ...req.body,
-      chefEmail: req.user.email, // ✅ track chef
-      createdAt: new Date(),
-    };
-    const result = await mealsCollection.insertOne(meal);
-    res.json({ success: true, insertedId: result.insertedId });
+    const meal = await mealsCollection.findOne({ _id: new ObjectId(req.params.id), ...PUBLIC_MEAL_FILTER });
+    if (!meal) return res.status(404).json({ message: "Meal not found" });
+
+    const count = Math.min(Math.max(parseInt(req.query.days) || MAX_PREORDER_DAYS, 1), MAX_PREORDER_DAYS);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const days = [];
+    for (let i = 0; i <= count; i++) {
+      const slot = kitchenSlot(new Date(Date.now() + i * dayMs));
+      const [{ soldOut, availability }] = await withAvailability([meal], slot);
+      days.push({ ...availability, day: slot.day, soldOut });
+    }
+
+    res.json({
+      success: true,
+      mealId: meal._id,
+      dailyCapacity: meal.dailyCapacity || null,
+      window: { from: meal.availableFrom || null, until: meal.availableUntil || null },
+      timeZone: KITCHEN_TIME_ZONE,
+      days,
+    });
   } catch (err) {
-    console.error("Error adding meal:", err);
-    res.status(500).json({ message: "Failed to add meal" });
+    console.error("Error fetching meal availability:", err);
+    res.status(500).json({ message: "Failed to fetch meal availability" });
   }
 });
 
+// ✅ Add new meal (only chef)
+app.post(
+  "/meals",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(MEAL_SCHEMA),
+  createMeal
+);
+
 // ✅ Update meal (only chef, must own meal)
-app.put("/meals/:id", verifyToken, verifyRole("chef"), async (req, res) => {
+app.put(
+  "/meals/:id",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(MEAL_SCHEMA, { partial: true }),
+  updateMeal
+);
+
+// ✅ Delete meal (only chef, must own meal)
+app.delete("/meals/:id", verifyToken, verifyRole("chef"), requireChefId, deleteMeal);
+
+ // ---------------- ORDERS ----------------
+
+// ✅ Place new order (user only, prices come from the meals, not the client)
+app.post("/orders", verifyToken, verifyRole("user"), verifyActive, validateBody(ORDER_SCHEMA), placeOrder);
+
+
+// ✅ Get my orders (user only)
+app.get("/orders/my-orders", verifyToken, verifyRole("user"), async (req, res) => {
   try {
-    const meal = await mealsCollection.findOne({ _id: new ObjectId(req.params.id) });
-    if (!meal) return res.status(404).json({ message: "Meal not found" });
+    const orders = await ordersCollection.find({ userEmail: req.user.email }).toArray();
+    res.json({ success: true, orders });
+  } catch (err) {
+    console.error("Error fetching orders:", err);
+    res.status(500).json({ message: "Failed to fetch orders" });
+  }
+});
 
-    if (meal.chefEmail !== req.user.email) {
-      return res.status(403).json({ message: "Forbidden: You can only update your own meals" });
-    }
+// ✅ Cancel order (user only, must own order)
+app.put(
+  "/orders/:id/cancel",
+  verifyToken,
+  verifyRole("user"),
+  orderStatusRoute("cancelled", (req) => ({ userEmail: req.user.email }), "cancel order")
+);
 
-    const updated = await mealsCollection.updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: req.body }
-    );
-    res.json({ success: true, modifiedCount: updated.modifiedCount });
+// ✅ Chef requests (orders received by chef)
+app.get("/orders/requests", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
+  try {
+    const requests = await ordersCollection.find(chefOwnedFilter(req.user)).toArray();
+    res.json({ success: true, requests });
+  } catch (err) {
+    console.error("Error fetching chef requests:", err);
+    res.status(500).json({ message: "Failed to fetch requests" });
+  }
+});
+
+// ✅ Accept order (chef only, must own order)
+app.put(
+  "/orders/:id/accept",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("accepted", (req) => chefOwnedFilter(req.user), "accept order")
+);
+
+// ✅ Reject order (chef only, must own order)
+app.put(
+  "/orders/:id/reject",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  orderStatusRoute("rejected", (req) => chefOwnedFilter(req.user), "reject order")
+);
+
+// ---------------- COUPONS ----------------
+
+// ✅ Check a coupon against the cart before ordering (nothing is redeemed)
+// body: same as POST /orders with a required couponCode
+app.post("/coupons/validate", verifyToken, validateBody(COUPON_CHECK_SCHEMA), async (req, res) => {
+  try {
+    const cart = req.body.items || (req.body.mealId ? [req.body] : []);
+    const checkout = await checkoutOptions(req.body, req.user);
+    if (!checkout.options) return res.status(checkout.status).json({ valid: false, message: checkout.message });
+
+    const result = await buildOrders(cart, req.user, checkout.options);
+    if (!result.orders) return res.status(result.status).json({ valid: false, message: result.message });
+
+    const { coupon } = checkout.options;
+    const sum = (field) => fromCents(result.orders.reduce((total, o) => total + toCents(o[field]), 0));
+    res.json({
+      success: true,
+      valid: true,
+      coupon: {
+        code: coupon.code,
+        description: coupon.description || null,
+        type: coupon.type,
+        value: coupon.value,
+        expiresAt: coupon.expiresAt || null,
+      },
+      subtotal: sum("subtotal"),
+      discount: sum("discount"),
+      total: sum("total"),
+      orders: result.orders.map((o) => ({ chefId: o.chefId, chefName: o.chefName, discount: o.discount, total: o.total, lines: o.lines })),
+    });
   } catch (err) {
-    console.error("Error updating meal:", err);
-    res.status(500).json({ message: "Failed to update meal" });
+    console.error("Error validating coupon:", err);
+    res.status(500).json({ message: "Failed to validate coupon" });
   }
 });
 
-// ✅ Delete meal (only chef, must own meal)
-app.delete("/meals/:id", verifyToken, verifyRole("chef"), async (req, res) => {
+// ✅ Coupons (Admin only) - platform funded, can target any chefs / meals
+app.get("/admin/coupons", verifyToken, verifyRole("admin"), listCoupons);
+app.post("/admin/coupons", verifyToken, verifyRole("admin"), validateBody(COUPON_SCHEMA), createCoupon);
+app.patch("/admin/coupons/:id", verifyToken, verifyRole("admin"), validateBody(COUPON_SCHEMA, { partial: true }), updateCoupon);
+app.delete("/admin/coupons/:id", verifyToken, verifyRole("admin"), deactivateCoupon);
+
+// ✅ Chef discounts - the chef pays for them, only on the chef's own meals
+app.get("/chef/coupons", verifyToken, verifyRole("chef"), requireChefId, listCoupons);
+app.post(
+  "/chef/coupons",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(COUPON_SCHEMA),
+  createCoupon
+);
+app.patch(
+  "/chef/coupons/:id",
+  verifyToken,
+  verifyRole("chef"),
+  requireChefId,
+  verifyActive,
+  validateBody(COUPON_SCHEMA, { partial: true }),
+  updateCoupon
+);
+app.delete("/chef/coupons/:id", verifyToken, verifyRole("chef"), requireChefId, deactivateCoupon);
+
+
+// ---------------- REVIEWS ----------------
+
+// ✅ Get latest reviews (homepage) - query: limit (default 10)
+app.get("/reviews", async (req, res) => {
   try {
-    const meal = await mealsCollection.findOne({ _id: new ObjectId(req.params.id) });
-    if (!meal) return res.status(404).json({ message: "Meal not found" });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const [reviews, [stats]] = await Promise.all([
+      reviewsCollection
+        .find(PUBLIC_REVIEW_FILTER, { projection: { reports: 0, moderationLog: 0 } })
+        .sort({ date: -1 })    // latest first
+        .limit(limit)
+        .toArray(),
+      reviewsCollection
+        .aggregate([
+          { $match: PUBLIC_REVIEW_FILTER },
+          { $group: { _id: null, totalReviews: { $sum: 1 }, averageRating: { $avg: "$rating" } } },
+        ])
+        .toArray(),
+    ]);
+
+    res.json({
+      success: true,
+      reviews,
+      totalReviews: stats?.totalReviews || 0,
+      averageRating: stats?.averageRating || 0,
+    });
+  } catch (err) {
+    console.error("Error fetching reviews:", err);
+    res.status(500).json({ message: "Failed to fetch reviews" });
+  }
+});
+
+// ✅ Reviews of one meal + rating distribution
+// query: sort (newest|highest|lowest), page, limit
+app.get("/meals/:id/reviews", async (req, res) => {
+  try {
+    const foodId = req.params.id;
+    const sorts = {
+      newest: { date: -1, _id: -1 },
+      highest: { rating: -1, date: -1 },
+      lowest: { rating: 1, date: -1 },
+    };
 
-    if (meal.chefEmail !== req.user.email) {
-      return res.status(403).json({ message: "Forbidden: You can only delete your own meals" });
+    const [{ items, pagination }, distribution] = await Promise.all([
+      paginate(reviewsCollection, { foodId, ...PUBLIC_REVIEW_FILTER }, {
+        ...parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 }),
+        sort: sorts[req.query.sort] || sorts.newest,
+        projection: { reports: 0, moderationLog: 0 },
+      }),
+      reviewsCollection
+        .aggregate([
+          { $match: { foodId, ...PUBLIC_REVIEW_FILTER } },
+          { $group: { _id: "$rating", count: { $sum: 1 } } },
+        ])
+        .toArray(),
+    ]);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let ratingSum = 0;
+    for (const row of distribution) {
+      ratingDistribution[row._id] = row.count;
+      ratingSum += row._id * row.count;
     }
 
-    const deleted = await mealsCollection.deleteOne({ _id: new ObjectId(req.params.id) });
-    res.json({ success: true, deletedCount: deleted.deletedCount });
+    res.json({
+      success: true,
+      reviews: items,
+      pagination,
+      ratingDistribution,
+      totalReviews: pagination.total,
+      averageRating: pagination.total ? Math.round((ratingSum / pagination.total) * 10) / 10 : 0,
+    });
   } catch (err) {
-    console.error("Error deleting meal:", err);
-    res.status(500).json({ message: "Failed to delete meal" });
+    console.error("Error fetching meal reviews:", err);
+    res.status(500).json({ message: "Failed to fetch reviews" });
   }
 });
 
- // ---------------- ORDERS ----------------
-
-// ✅ Place new order (user only)
-app.post("/orders", verifyToken, verifyRole("user"), async (req, res) => {
+// ✅ Add a new review (only logged-in users, one per meal)
+app.post("/reviews", verifyToken, validateBody(REVIEW_SCHEMA), async (req, res) => {
   try {
-    const { mealId, mealName, foodName, chefId, chefName, price } = req.body;
-    const finalMealName = mealName || foodName; // ✅ normalize
+    const { foodId, rating, comment } = req.body;
 
-    if (!mealId || !finalMealName || !chefId || !chefName || !price) {
-      return res.status(400).json({ message: "Missing required fields" });
+    if (!(await mealsCollection.findOne({ _id: new ObjectId(foodId) }))) {
+      return res.status(404).json({ message: "Meal not found" });
     }
 
-    const order = {
-      mealId,
-      mealName: finalMealName, // ✅ always save as mealName
-      chefId,
-      chefName,
-      price,
+    const existing = await reviewsCollection.findOne({ foodId, reviewerEmail: req.user.email });
+    if (existing) {
+      return res.status(409).json({ message: "You already reviewed this meal", reviewId: existing._id });
+    }
+
+    // ✅ verified purchase = the user got this meal delivered at least once
+    const deliveredOrder = await ordersCollection.findOne({
       userEmail: req.user.email,
-      orderStatus: "pending",
-      paymentStatus: "Pending",
-      orderTime: new Date().toISOString(),
+      orderStatus: "delivered",
+      $or: [{ "items.mealId": foodId }, { mealId: foodId }],
+    });
+
+    // ✅ banned words: keep the review but hold it for moderation
+    const flaggedWords = findBannedWords(comment, await getBannedWords());
+
+    const newReview = {
+      foodId,
+      userId: req.user.id,
+      reviewerName: req.user.name || "Anonymous", // ✅ auto from JWT
+      reviewerEmail: req.user.email,
+      reviewerImage: req.user.avatar || null,
+      rating,
+      comment,
+      verifiedPurchase: Boolean(deliveredOrder),
+      moderationStatus: flaggedWords.length ? "flagged" : "visible",
+      flagReason: flaggedWords.length ? "banned-words" : null,
+      flaggedWords,
+      reportCount: 0,
+      date: new Date().toISOString(),
     };
 
-    const result = await ordersCollection.insertOne(order);
-    res.json({ success: true, insertedId: result.insertedId });
+    let result;
+    try {
+      result = await reviewsCollection.insertOne(newReview);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return res.status(409).json({ message: "You already reviewed this meal" });
+    }
+    await refreshMealRating(foodId);
+
+    res.json({
+      success: true,
+      insertedId: result.insertedId,
+      verifiedPurchase: newReview.verifiedPurchase,
+      moderationStatus: newReview.moderationStatus,
+    });
   } catch (err) {
-    console.error("Error placing order:", err);
-    res.status(500).json({ message: "Failed to place order" });
+    console.error("Error submitting review:", err);
+    res.status(500).json({ message: "Failed to submit review" });
   }
 });
 
+// ✅ Edit own review - body: { rating?, comment? }
+app.patch("/reviews/:id", verifyToken, validateBody(REVIEW_UPDATE_SCHEMA, { partial: true }), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const $set = { ...req.body };
+    $set.editedAt = new Date().toISOString();
 
-// ✅ Get my orders (user only)
-app.get("/orders/my-orders", verifyToken, verifyRole("user"), async (req, res) => {
+    const current = await reviewsCollection.findOne({
+      _id: new ObjectId(req.params.id),
+      reviewerEmail: req.user.email,
+    });
+    if (!current) return res.status(404).json({ message: "Review not found" });
+
+    // ✅ re-check banned words; hidden reviews stay hidden, report flags stay for the admin
+    if (comment !== undefined && current.moderationStatus !== "hidden") {
+      const flaggedWords = findBannedWords(comment, await getBannedWords());
+      $set.flaggedWords = flaggedWords;
+      if (flaggedWords.length) {
+        Object.assign($set, { moderationStatus: "flagged", flagReason: "banned-words" });
+      } else if (current.flagReason === "banned-words") {
+        Object.assign($set, { moderationStatus: "visible", flagReason: null });
+      }
+    }
+
+    const review = await reviewsCollection.findOneAndUpdate(
+      { _id: current._id },
+      { $set },
+      { returnDocument: "after" }
+    );
+
+    await refreshMealRating(review.foodId);
+    res.json({ success: true, review });
+  } catch (err) {
+    console.error("Error updating review:", err);
+    res.status(500).json({ message: "Failed to update review" });
+  }
+});
+
+// ✅ Report a review - body: { reason }
+app.post("/reviews/:id/report", verifyToken, validateBody(REVIEW_REPORT_SCHEMA), async (req, res) => {
   try {
-    const orders = await ordersCollection.find({ userEmail: req.user.email }).toArray();
-    res.json({ success: true, orders });
+    const { reason } = req.body;
+
+    const review = await reviewsCollection.findOneAndUpdate(
+      {
+        _id: new ObjectId(req.params.id),
+        reviewerEmail: { $ne: req.user.email },
+        "reports.userEmail": { $ne: req.user.email },
+      },
+      {
+        $push: { reports: { userEmail: req.user.email, reason, at: new Date().toISOString() } },
+        $inc: { reportCount: 1 },
+      },
+      { returnDocument: "after" }
+    );
+    if (!review) {
+      return res.status(409).json({ message: "Review not found, or you cannot report it again" });
+    }
+
+    // ✅ enough reports: take it down until an admin looks at it
+    if (review.reportCount >= REVIEW_REPORT_THRESHOLD && (review.moderationStatus || "visible") === "visible") {
+      await reviewsCollection.updateOne(
+        { _id: review._id },
+        { $set: { moderationStatus: "flagged", flagReason: "reports" } }
+      );
+      await refreshMealRating(review.foodId);
+    }
+
+    res.json({ success: true, message: "Review reported" });
   } catch (err) {
-    console.error("Error fetching orders:", err);
-    res.status(500).json({ message: "Failed to fetch orders" });
+    console.error("Error reporting review:", err);
+    res.status(500).json({ message: "Failed to report review" });
   }
 });
 
-// ✅ Cancel order (user only, must own order)
-app.put("/orders/:id/cancel", verifyToken, verifyRole("user"), async (req, res) => {
+// ✅ Chef's public reply to a review of their meal (one per review) - body: { text }
+app.post("/reviews/:id/reply", verifyToken, verifyRole("chef"), requireChefId, validateBody(REVIEW_REPLY_SCHEMA), async (req, res) => {
   try {
-    const updated = await ordersCollection.updateOne(
-      { _id: new ObjectId(req.params.id), userEmail: req.user.email },
-      { $set: { orderStatus: "cancelled", cancelledAt: new Date().toISOString() } }
+    const { text } = req.body;
+    if (findBannedWords(text, await getBannedWords()).length) {
+      return res.status(400).json({ message: "Reply contains words that are not allowed" });
+    }
+
+    const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!review) return res.status(404).json({ message: "Review not found" });
+
+    const meal = isObjectId(review.foodId)
+      ? await mealsCollection.findOne({ _id: new ObjectId(review.foodId), ...chefOwnedFilter(req.user) })
+      : null;
+    if (!meal) {
+      return res.status(403).json({ message: "Forbidden: You can only reply to reviews of your own meals" });
+    }
+
+    const chefReply = {
+      text,
+      chefId: req.user.chefId,
+      chefName: req.user.name || null,
+      at: new Date().toISOString(),
+    };
+    const updated = await reviewsCollection.updateOne(
+      { _id: review._id, chefReply: null },
+      { $set: { chefReply } }
     );
-    res.json({ success: true, modifiedCount: updated.modifiedCount });
+    if (updated.modifiedCount === 0) {
+      return res.status(409).json({ message: "You already replied to this review" });
+    }
+
+    res.json({ success: true, chefReply });
   } catch (err) {
-    console.error("Error cancelling order:", err);
-    res.status(500).json({ message: "Failed to cancel order" });
+    console.error("Error replying to review:", err);
+    res.status(500).json({ message: "Failed to reply to review" });
   }
 });
 
-// ✅ Chef requests (orders received by chef)
-app.get("/orders/requests", verifyToken, verifyRole("chef"), async (req, res) => {
+// ✅ Delete own review
+app.delete("/reviews/:id", verifyToken, async (req, res) => {
   try {
-    const requests = await ordersCollection.find({ chefId: req.user.chefId }).toArray();
-    res.json({ success: true, requests });
+    const review = await reviewsCollection.findOneAndDelete({
+      _id: new ObjectId(req.params.id),
+      reviewerEmail: req.user.email,
+    });
+    if (!review) return res.status(404).json({ message: "Review not found" });
+
+    await refreshMealRating(review.foodId);
+    res.json({ success: true, deletedCount: 1 });
   } catch (err) {
-    console.error("Error fetching chef requests:", err);
-    res.status(500).json({ message: "Failed to fetch requests" });
+    console.error("Error deleting review:", err);
+    res.status(500).json({ message: "Failed to delete review" });
   }
 });
 
-// ✅ Accept order (chef only, must own order)
-app.put("/orders/:id/accept", verifyToken, verifyRole("chef"), async (req, res) => {
+
+
+// ---------------- REVIEW MODERATION (Admin) ----------------
+
+// ✅ Moderation queue (Admin only)
+// query: status (queue|flagged|reported|hidden, default queue = flagged or reported), page, limit
+app.get("/admin/reviews/moderation", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const updated = await ordersCollection.updateOne(
-      { _id: new ObjectId(req.params.id), chefId: req.user.chefId },
-      { $set: { orderStatus: "accepted", acceptedAt: new Date().toISOString() } }
-    );
-    res.json({ success: true, modifiedCount: updated.modifiedCount });
+    const filters = {
+      queue: { $or: [{ moderationStatus: "flagged" }, { moderationStatus: { $ne: "hidden" }, reportCount: { $gt: 0 } }] },
+      flagged: { moderationStatus: "flagged" },
+      reported: { reportCount: { $gt: 0 } },
+      hidden: { moderationStatus: "hidden" },
+    };
+    const filter = filters[req.query.status] || filters.queue;
+
+    const { items, pagination } = await paginate(reviewsCollection, filter, {
+      ...parsePagination(req.query),
+      sort: { reportCount: -1, date: -1, _id: -1 },
+    });
+    res.json({ success: true, reviews: items, pagination });
+  } catch (err) {
+    console.error("Error fetching moderation queue:", err);
+    res.status(500).json({ message: "Failed to fetch moderation queue" });
+  }
+});
+
+// ✅ Hide review (Admin only) - body: { reason }
+app.patch("/admin/reviews/:id/hide", verifyToken, verifyRole("admin"), validateBody(MODERATION_SCHEMA), async (req, res) => {
+  try {
+    const review = await moderateReview(req, "hide", {
+      $set: { moderationStatus: "hidden", hiddenAt: new Date().toISOString() },
+    });
+    if (!review) return res.status(404).json({ message: "Review not found" });
+    res.json({ success: true, review });
+  } catch (err) {
+    console.error("Error hiding review:", err);
+    res.status(500).json({ message: "Failed to hide review" });
+  }
+});
+
+// ✅ Restore review (Admin only) - clears flags and pending reports
+app.patch("/admin/reviews/:id/restore", verifyToken, verifyRole("admin"), validateBody(MODERATION_SCHEMA), async (req, res) => {
+  try {
+    const review = await moderateReview(req, "restore", {
+      $set: { moderationStatus: "visible", flagReason: null, reportCount: 0 },
+      $unset: { hiddenAt: "" },
+    });
+    if (!review) return res.status(404).json({ message: "Review not found" });
+    res.json({ success: true, review });
   } catch (err) {
-    console.error("Error accepting order:", err);
-    res.status(500).json({ message: "Failed to accept order" });
+    console.error("Error restoring review:", err);
+    res.status(500).json({ message: "Failed to restore review" });
   }
 });
 
-// ✅ Reject order (chef only, must own order)
-app.put("/orders/:id/reject", verifyToken, verifyRole("chef"), async (req, res) => {
+// ✅ Delete review (Admin only)
+app.delete("/admin/reviews/:id", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const updated = await ordersCollection.updateOne(
-      { _id: new ObjectId(req.params.id), chefId: req.user.chefId },
-      { $set: { orderStatus: "rejected", rejectedAt: new Date().toISOString() } }
-    );
-    res.json({ success: true, modifiedCount: updated.modifiedCount });
+    const review = await reviewsCollection.findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!review) return res.status(404).json({ message: "Review not found" });
+
+    await refreshMealRating(review.foodId);
+    res.json({ success: true, deletedCount: 1 });
   } catch (err) {
-    console.error("Error rejecting order:", err);
-    res.status(500).json({ message: "Failed to reject order" });
+    console.error("Error deleting review:", err);
+    res.status(500).json({ message: "Failed to delete review" });
   }
 });
 
-
-// ---------------- REVIEWS ----------------
-
-// ✅ Get all reviews (latest for homepage)
-app.get("/reviews", async (req, res) => {
+// ✅ Banned word list (Admin only)
+app.get("/admin/reviews/banned-words", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const reviews = await reviewsCollection
-      .find()                // সব reviews আনবে
-      .sort({ date: -1 })    // latest first
-      .toArray();
-
-    const totalReviews = reviews.length;
-    const averageRating =
-      totalReviews > 0
-        ? reviews.reduce((sum, r) => sum + r.rating, 0) / totalReviews
-        : 0;
-
-    res.json({
-      success: true,
-      reviews,
-      totalReviews,
-      averageRating,
-    });
+    res.json({ success: true, bannedWords: await getBannedWords() });
   } catch (err) {
-    console.error("Error fetching reviews:", err);
-    res.status(500).json({ message: "Failed to fetch reviews" });
+    console.error("Error fetching banned words:", err);
+    res.status(500).json({ message: "Failed to fetch banned words" });
   }
 });
 
-
-// ✅ Add a new review (only logged-in users)
-app.post("/reviews", verifyToken, async (req, res) => {
+// ✅ Replace banned word list (Admin only) - body: { bannedWords: [] }
+// only applies to new submissions and edits
+app.put("/admin/reviews/banned-words", verifyToken, verifyRole("admin"), validateBody(BANNED_WORDS_SCHEMA), async (req, res) => {
   try {
-    const { foodId, rating, comment } = req.body;
-
-    if (!foodId || !rating || !comment) {
-      return res.status(400).json({ message: "Missing required fields" });
-    }
-
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ message: "Rating must be between 1 and 5" });
-    }
-
-    const newReview = {
-      foodId,
-      reviewerName: req.user.name || "Anonymous", // ✅ auto from JWT
-      reviewerEmail: req.user.email,
-      reviewerImage: req.user.avatar || null,
-      rating,
-      comment,
-      date: new Date().toISOString(),
-    };
-
-    const result = await reviewsCollection.insertOne(newReview);
-
-    res.json({ success: true, insertedId: result.insertedId });
+    const words = [...new Set(req.body.bannedWords.filter(Boolean))];
+    await settingsCollection.updateOne(
+      { _id: "reviewModeration" },
+      { $set: { bannedWords: words, updatedAt: new Date().toISOString(), updatedBy: req.user.email } },
+      { upsert: true }
+    );
+    res.json({ success: true, bannedWords: words });
   } catch (err) {
-    console.error("Error submitting review:", err);
-    res.status(500).json({ message: "Failed to submit review" });
+    console.error("Error saving banned words:", err);
+    res.status(500).json({ message: "Failed to save banned words" });
   }
 });
 
@@ -710,36 +5037,21 @@ app.post("/reviews", verifyToken, async (req, res) => {
    // ---------------- FAVORITES ----------------
 
 // ✅ Add to Favorites
-// ✅ Add to Favorites
-app.post("/favorites", verifyToken, async (req, res) => {
+// body: { mealId }
+app.post("/favorites", verifyToken, validateBody(FAVORITE_SCHEMA), async (req, res) => {
   try {
-    const { mealId, mealName, foodName, chefId, chefName, price, foodImage } = req.body;
+    const { mealId } = req.body;
     const userEmail = req.user.email;
 
-    // allow either mealName or foodName
-    const finalMealName = mealName || foodName;
-
-    if (!mealId || !finalMealName || !chefId || !chefName || !price || !foodImage) {
-      return res.status(400).json({ message: "Missing required fields" });
-    }
-
     const existing = await favoritesCollection.findOne({ mealId, userEmail });
     if (existing) {
       return res.status(400).json({ message: "Meal already in favorites" });
     }
 
-    const newFavorite = {
-      userEmail,
-      mealId,
-      mealName: finalMealName, // ✅ normalize
-      chefId,
-      chefName,
-      price,
-      foodImage,
-      addedTime: new Date().toISOString(),
-    };
+    const { favorite, status, message } = await buildFavorite(mealId, userEmail);
+    if (!favorite) return res.status(status).json({ message });
 
-    const result = await favoritesCollection.insertOne(newFavorite);
+    const result = await favoritesCollection.insertOne(favorite);
     res.json({ success: true, insertedId: result.insertedId });
   } catch (err) {
     console.error("Error adding favorite:", err);
@@ -783,18 +5095,108 @@ app.delete("/favorites/:mealId", verifyToken, async (req, res) => {
   }
 });
 
+// ---------------- CHEFS (public) ----------------
+
+// ✅ Public chef profile with published meals and overall rating
+app.get("/chefs/:chefId", async (req, res) => {
+  try {
+    const chef = await usersCollection.findOne(
+      { role: "chef", chefId: req.params.chefId },
+      { projection: { name: 1, avatar: 1, chefId: 1, chefProfile: 1, "kitchen.address": 1, "kitchen.deliveryRadiusKm": 1, createdAt: 1 } }
+    );
+    if (!chef) return res.status(404).json({ message: "Chef not found" });
+
+    const meals = await mealsCollection
+      .find({ chefId: chef.chefId, ...PUBLIC_MEAL_FILTER })
+      .sort({ averageRating: -1, reviewCount: -1 })
+      .limit(50)
+      .toArray();
+
+    // meal ratings weighted by their number of reviews
+    const reviewCount = meals.reduce((sum, m) => sum + (m.reviewCount || 0), 0);
+    const ratingSum = meals.reduce((sum, m) => sum + (m.averageRating || 0) * (m.reviewCount || 0), 0);
+    // profiles approved earlier still carry the certificate details
+    const { certificateNumber, certificateExpiresAt, ...profile } = chef.chefProfile || {};
+
+    res.json({
+      success: true,
+      chef: {
+        chefId: chef.chefId,
+        name: chef.name,
+        avatar: chef.avatar || null,
+        ...profile,
+        kitchen: chef.kitchen || null,
+        memberSince: chef.createdAt || null,
+      },
+      rating: {
+        average: reviewCount ? Math.round((ratingSum / reviewCount) * 10) / 10 : 0,
+        reviewCount,
+      },
+      meals: await withAvailability(meals),
+      totalMeals: meals.length,
+    });
+  } catch (err) {
+    console.error("Error fetching chef profile:", err);
+    res.status(500).json({ message: "Failed to fetch chef profile" });
+  }
+});
+
 // ---------------- REQUESTS ----------------
 
 // ✅ Create new request (user only)
-app.post("/requests", verifyToken, verifyRole("user"), async (req, res) => {
+// body: { requestType: "admin", userName? } or a chef application (CHEF_APPLICATION_SCHEMA + certificate file)
+// one pending request per type and user
+app.post("/requests", verifyToken, verifyRole("user"), handleUpload(certificateUpload), validateRoleRequest, async (req, res) => {
   try {
+    const { requestType, userName, ...application } = req.body;
+    if (requestType === "chef" && !req.file) {
+      return validationError(res, [{ field: "certificate", message: "a food safety certificate (pdf, jpg or png) is required" }]);
+    }
+
+    const pending = await requestsCollection.findOne({
+      userEmail: req.user.email,
+      requestType,
+      requestStatus: "pending",
+    });
+    if (pending) {
+      return res.status(409).json({ message: `You already have a pending ${requestType} request`, requestId: pending._id });
+    }
+
     const request = {
-      ...req.body,
+      requestType,
+      userName: userName || req.user.name || null,
       userEmail: req.user.email, // ✅ auto from JWT
       requestStatus: "pending",
       requestTime: new Date().toISOString(),
     };
-    const result = await requestsCollection.insertOne(request);
+    if (requestType === "chef") {
+      // ✅ private object in the storage adapter, only admins can download it
+      const key = `certificates/${crypto.randomUUID()}${CERTIFICATE_TYPES[req.file.mimetype]}`;
+      await getStorage().put(key, req.file.buffer, req.file.mimetype, { private: true });
+
+      request.application = {
+        ...application,
+        certificate: {
+          key,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+        },
+      };
+    }
+
+    let result;
+    try {
+      result = await requestsCollection.insertOne(request);
+    } catch (err) {
+      // ✅ no request to point at the certificate, don't keep the file
+      if (request.application) {
+        await getStorage().remove(request.application.certificate.key, { private: true });
+      }
+      if (err.code !== 11000) throw err;
+      return res.status(409).json({ message: `You already have a pending ${requestType} request` });
+    }
+    publish(["role:admin"], "request.created", { requestId: result.insertedId, ...request });
     res.json({ success: true, insertedId: result.insertedId });
   } catch (err) {
     console.error("Error creating request:", err);
@@ -802,14 +5204,26 @@ app.post("/requests", verifyToken, verifyRole("user"), async (req, res) => {
   }
 });
 
-// ✅ Get all requests (admin only)
+// ✅ Get requests (admin only)
+// query: requestType, requestStatus, userEmail, from, to (request time), sort (requestTime), order, page, limit
 app.get("/requests", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const requests = await requestsCollection.find().toArray();
+    const filter = {};
+    if (req.query.requestType) filter.requestType = String(req.query.requestType);
+    if (req.query.requestStatus) filter.requestStatus = String(req.query.requestStatus);
+    if (req.query.userEmail) filter.userEmail = String(req.query.userEmail);
+    const requestTime = parseDateRange(req.query);
+    if (requestTime) filter.requestTime = requestTime;
+
+    const { items, pagination } = await paginate(requestsCollection, filter, {
+      ...parsePagination(req.query),
+      sort: parseSort(req.query, ["requestTime", "requestStatus"]),
+    });
     res.json({
       success: true,
-      requests,
-      totalRequests: requests.length,
+      requests: items,
+      totalRequests: pagination.total,
+      pagination,
     });
   } catch (err) {
     console.error("Error fetching requests:", err);
@@ -818,17 +5232,42 @@ app.get("/requests", verifyToken, verifyRole("admin"), async (req, res) => {
 });
 
 // ✅ Approve request (admin only)
-app.put("/requests/:id/approve", verifyToken, verifyRole("admin"), async (req, res) => {
+// body: { note? } (shown to the applicant)
+app.put("/requests/:id/approve", verifyToken, verifyRole("admin"), validateBody(REQUEST_DECISION_SCHEMA), async (req, res) => {
   try {
-    const request = await requestsCollection.findOne({ _id: new ObjectId(req.params.id) });
-    if (!request) return res.status(404).json({ message: "Request not found" });
+    const pending = await requestsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!pending) return res.status(404).json({ message: "Request not found" });
+
+    const user = await usersCollection.findOne({ email: pending.userEmail });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    // ✅ only the admin whose update matches the pending request applies the role change
+    const note = req.body.note || null;
+    const request = await requestsCollection.findOneAndUpdate(
+      { _id: pending._id, requestStatus: "pending" },
+      {
+        $set: {
+          requestStatus: "approved",
+          approvedAt: new Date().toISOString(),
+          adminNote: note,
+          decidedBy: req.user.email,
+        },
+      }
+    );
+    if (!request) {
+      const decided = await requestsCollection.findOne({ _id: pending._id }, { projection: { requestStatus: 1 } });
+      return res.status(409).json({ message: `Request is already ${decided.requestStatus}` });
+    }
 
     if (request.requestType === "chef") {
-      const chefId = "chef-" + Math.floor(1000 + Math.random() * 9000);
-      await usersCollection.updateOne(
-        { email: request.userEmail },
-        { $set: { role: "chef", chefId } }
-      );
+      const chefId = user.chefId || (await newChefId());
+      const $set = { role: "chef", chefId };
+      if (request.application) {
+        // ✅ public chef profile, the certificate and its details stay on the request
+        const { certificate, certificateNumber, certificateExpiresAt, phone, ...profile } = request.application;
+        $set.chefProfile = { ...profile, approvedAt: new Date().toISOString() };
+      }
+      await usersCollection.updateOne({ email: request.userEmail }, { $set });
     } else if (request.requestType === "admin") {
       await usersCollection.updateOne(
         { email: request.userEmail },
@@ -836,10 +5275,31 @@ app.put("/requests/:id/approve", verifyToken, verifyRole("admin"), async (req, r
       );
     }
 
-    await requestsCollection.updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { requestStatus: "approved", approvedAt: new Date().toISOString() } }
-    );
+    // ✅ role changed: old tokens carry the old role, make the user log in again
+    if (["chef", "admin"].includes(request.requestType)) {
+      await revokeSessions({ email: request.userEmail }, "user.role");
+      await auditLogsCollection.insertOne({
+        action: "user.role",
+        targetUserId: user._id,
+        targetEmail: user.email,
+        actor: { id: req.user.id, email: req.user.email, role: req.user.role },
+        reason: `Approved ${request.requestType} request ${request._id}`,
+        before: { role: user.role },
+        after: { role: request.requestType },
+        at: new Date().toISOString(),
+      });
+    }
+
+    await notify(request.userEmail, "requestDecision", {
+      title: "Request approved",
+      message: `Your ${request.requestType} request was approved, please log in again`,
+      data: { requestId: request._id, requestType: request.requestType, requestStatus: "approved", note },
+    });
+    await queueMail(request.userEmail, "requestDecision", {
+      requestType: request.requestType,
+      requestStatus: "approved",
+      note,
+    });
 
     res.json({ success: true, message: "Request approved successfully" });
   } catch (err) {
@@ -849,98 +5309,744 @@ app.put("/requests/:id/approve", verifyToken, verifyRole("admin"), async (req, r
 });
 
 // ✅ Reject request (admin only)
-app.put("/requests/:id/reject", verifyToken, verifyRole("admin"), async (req, res) => {
+// body: { note? } (the reason, shown to the applicant)
+app.put("/requests/:id/reject", verifyToken, verifyRole("admin"), validateBody(REQUEST_DECISION_SCHEMA), async (req, res) => {
   try {
-    const updated = await requestsCollection.updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { requestStatus: "rejected", rejectedAt: new Date().toISOString() } }
+    const note = req.body.note || null;
+    const request = await requestsCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), requestStatus: "pending" },
+      {
+        $set: {
+          requestStatus: "rejected",
+          rejectedAt: new Date().toISOString(),
+          adminNote: note,
+          decidedBy: req.user.email,
+        },
+      }
     );
-    res.json({ success: true, message: "Request rejected", modifiedCount: updated.modifiedCount });
+    if (!request) return res.status(404).json({ message: "No pending request with this id" });
+
+    await notify(request.userEmail, "requestDecision", {
+      title: "Request rejected",
+      message: `Your ${request.requestType} request was rejected${note ? `: ${note}` : ""}`,
+      data: { requestId: request._id, requestType: request.requestType, requestStatus: "rejected", note },
+    });
+    await queueMail(request.userEmail, "requestDecision", {
+      requestType: request.requestType,
+      requestStatus: "rejected",
+      note,
+    });
+    res.json({ success: true, message: "Request rejected", modifiedCount: 1 });
   } catch (err) {
     console.error("Error rejecting request:", err);
     res.status(500).json({ message: "Failed to reject request" });
   }
 });
 
+// ✅ Download the certificate of a chef application (admin only)
+app.get("/requests/:id/certificate", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const request = await requestsCollection.findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: { "application.certificate": 1 } }
+    );
+    const certificate = request?.application?.certificate;
+    if (!certificate) return res.status(404).json({ message: "Certificate not found" });
+
+    // applications from before the storage adapter only have a fileName under UPLOAD_DIR/certificates
+    const key = certificate.key || `certificates/${certificate.fileName}`;
+    const file = await getStorage().get(key, { private: true });
+    if (!file) return res.status(404).json({ message: "Certificate file is missing" });
+
+    res.type(certificate.mimeType);
+    res.set("Content-Disposition", `inline; filename="${certificate.originalName.replace(/[^\w.-]/g, "_")}"`);
+    res.send(file);
+  } catch (err) {
+    console.error("Error fetching certificate:", err);
+    res.status(500).json({ message: "Failed to fetch certificate" });
+  }
+});
+
+// ---------------- CHEF PAYOUTS (Stripe Connect) ----------------
+
+// what we keep of a connected account on the user document
+const stripeAccountStatus = (account) => ({
+  id: account.id,
+  chargesEnabled: account.charges_enabled,
+  payoutsEnabled: account.payouts_enabled,
+  detailsSubmitted: account.details_submitted,
+  updatedAt: new Date().toISOString(),
+});
+
+// ✅ Start (or continue) Stripe Connect onboarding, returns the Stripe hosted link
+app.post("/chef/stripe/onboarding", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    let accountId = user.stripeAccount?.id;
+    if (!accountId) {
+      const account = await getStripe().accounts.create({
+        type: "express",
+        email: user.email,
+        capabilities: { transfers: { requested: true } },
+        metadata: { userId: user._id.toString() },
+      });
+      accountId = account.id;
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { stripeAccount: stripeAccountStatus(account) } }
+      );
+    }
+
+    const link = await getStripe().accountLinks.create({
+      account: accountId,
+      refresh_url: `${CLIENT_URL}/dashboard/payouts?onboarding=refresh`,
+      return_url: `${CLIENT_URL}/dashboard/payouts?onboarding=done`,
+      type: "account_onboarding",
+    });
+
+    res.json({ success: true, url: link.url, expiresAt: link.expires_at });
+  } catch (err) {
+    console.error("Stripe onboarding error:", err);
+    res.status(500).json({ message: "Failed to start Stripe onboarding" });
+  }
+});
+
+// ✅ Connected account status (refreshed from Stripe)
+app.get("/chef/stripe/status", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.stripeAccount?.id) return res.json({ success: true, stripeAccount: null });
+
+    const account = await getStripe().accounts.retrieve(user.stripeAccount.id);
+    const stripeAccount = stripeAccountStatus(account);
+    await usersCollection.updateOne({ _id: user._id }, { $set: { stripeAccount } });
+    const released = await releasePendingPayouts({ ...user, stripeAccount });
+
+    res.json({ success: true, stripeAccount, releasedPayouts: released });
+  } catch (err) {
+    console.error("Stripe status error:", err);
+    res.status(500).json({ message: "Failed to fetch Stripe account status" });
+  }
+});
+
+// ✅ Earnings summary + payout history of logged-in chef
+app.get("/chef/earnings", verifyToken, verifyRole("chef"), requireChefId, async (req, res) => {
+  try {
+    const filter = { chefId: req.user.chefId };
+
+    const [totals, { items: payouts, pagination }] = await Promise.all([
+      payoutsCollection
+        .aggregate([
+          { $match: filter },
+          {
+            $group: {
+              _id: "$status",
+              amount: { $sum: "$amount" },
+              commission: { $sum: "$commission" },
+              reversed: { $sum: { $ifNull: ["$reversedAmount", 0] } },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+      paginate(payoutsCollection, filter, {
+        ...parsePagination(req.query, { defaultLimit: 10 }),
+        sort: { createdAt: -1, _id: -1 },
+      }),
+    ]);
+
+    const byStatus = Object.fromEntries(totals.map((t) => [t._id, t]));
+    const sum = (statuses, field) =>
+      fromCents(statuses.reduce((total, status) => total + toCents(byStatus[status]?.[field] || 0), 0));
+
+    res.json({
+      success: true,
+      summary: {
+        paidOut: fromCents(toCents(sum(["paid", "reversed"], "amount")) - toCents(sum(["paid", "reversed"], "reversed"))),
+        pending: sum(["pending", "pending_onboarding", "failed"], "amount"),
+        reversed: sum(["paid", "reversed"], "reversed"),
+        commission: sum(Object.keys(byStatus).filter((status) => status !== "cancelled"), "commission"),
+        commissionPercent: PLATFORM_COMMISSION_PERCENT,
+      },
+      payouts,
+      pagination,
+    });
+  } catch (err) {
+    console.error("Error fetching earnings:", err);
+    res.status(500).json({ message: "Failed to fetch earnings" });
+  }
+});
+
     // ---------------- PAYMENTS (Stripe) ----------------
  // ---------------- PAYMENTS (Stripe) ----------------
 
 // ✅ Create Stripe Checkout Session
-app.post("/payments/create-payment", verifyToken, async (req, res) => {
+// body: { orderId } or { orderIds: [] } or { checkoutId }
+// the amount is always the sum of the orders' server computed totals
+app.post("/payments/create-payment", verifyToken, verifyActive, validateBody(PAYMENT_SCHEMA), async (req, res) => {
   try {
-    const { amount, currency, orderId } = req.body;
+    const { orderId, orderIds, checkoutId } = req.body;
+
+    const filter = { userEmail: req.user.email };
+    if (checkoutId) {
+      filter.checkoutId = checkoutId;
+    } else {
+      const ids = orderIds || (orderId ? [orderId] : []);
+      if (ids.length === 0) {
+        return validationError(res, [{ field: "orderId", message: "orderId, orderIds or checkoutId is required" }]);
+      }
+      filter._id = { $in: ids.map((id) => new ObjectId(id)) };
+    }
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
+    const orders = await ordersCollection.find(filter).toArray();
+    if (orders.length === 0) return res.status(404).json({ message: "Order not found" });
+    if (filter._id && orders.length !== filter._id.$in.length) {
+      return res.status(404).json({ message: "Some orders were not found" });
+    }
+    if (orders.some((o) => o.paymentStatus === "paid")) {
+      return res.status(409).json({ message: "Order is already paid" });
+    }
+    if (orders.some((o) => ["cancelled", "rejected"].includes(o.orderStatus))) {
+      return res.status(409).json({ message: "Cancelled or rejected orders cannot be paid" });
+    }
+    if (orders.some((o) => !(o.total > 0))) {
+      return res.status(409).json({ message: "Order has no server computed total, please order again" });
+    }
+    const paidOrderIds = orders.map((o) => o._id.toString());
+
+    // ✅ one open Checkout session per order: expire earlier ones so the customer can't pay twice
+    const open = await paymentsCollection
+      .find({ orderIds: { $in: paidOrderIds }, status: { $in: ["pending", "processing", "failed"] } })
+      .toArray();
+    if (open.some((payment) => payment.status === "processing")) {
+      return res.status(409).json({ message: "A payment for this order is still being processed" });
+    }
+    for (const payment of open) {
+      try {
+        await getStripe().checkout.sessions.expire(payment.sessionId);
+      } catch (err) {
+        // only sessions that are still open can be expired
+        const session = await getStripe().checkout.sessions.retrieve(payment.sessionId);
+        if (session.status !== "expired") {
+          return res.status(409).json({ message: "A payment for this order was just completed, please refresh" });
+        }
+      }
+      await paymentsCollection.updateOne(
+        { _id: payment._id, status: payment.status },
+        { $set: { status: "expired", expiredAt: new Date().toISOString() } }
+      );
+    }
+
+    const reclaimed = await reclaimCoupons(orders);
+    if (reclaimed.status) return res.status(reclaimed.status).json({ message: reclaimed.message });
+
+    const currency = orders[0].currency || "usd";
+    const amountCents = orders.reduce((sum, o) => sum + toCents(o.total), 0);
+    // chefs are paid with separate transfers once the payment succeeds (one checkout can span chefs)
+    const transferGroup = `checkout_${crypto.randomUUID()}`;
+    const paymentId = new ObjectId();
+
+    let session;
+    try {
+      session = await getStripe().checkout.sessions.create({
+        payment_method_types: ["card"],
+        line_items: orders.map((order) => ({
           price_data: {
-            currency: currency || "usd",
-            product_data: { name: "LocalChef Order" },
-            unit_amount: amount * 100, // cents
+            currency,
+            product_data: { name: `LocalChef Order - ${order.mealName}` },
+            unit_amount: toCents(order.total), // cents
           },
           quantity: 1,
+        })),
+        mode: "payment",
+        success_url: `${CLIENT_URL}/payment-success`,
+        cancel_url: `${CLIENT_URL}/payment-failure`,
+        metadata: { paymentId: paymentId.toString() }, // ✅ the payment record lists the orderIds
+        payment_intent_data: {
+          transfer_group: transferGroup,
+          metadata: { paymentId: paymentId.toString() },
         },
-      ],
-      mode: "payment",
-      success_url: "http://localhost:5173/payment-success",
-      cancel_url: "http://localhost:5173/payment-failure",
-      metadata: { orderId }, // ✅ attach orderId
-    });
+      });
+    } catch (err) {
+      // no session to pay with, don't keep the coupon uses taken back for it
+      for (const checkoutId of reclaimed.reclaimed) await releaseCouponRedemption(checkoutId);
+      throw err;
+    }
 
     const paymentRecord = {
-      orderId,
+      _id: paymentId,
+      orderId: paidOrderIds[0],
+      orderIds: paidOrderIds,
       email: req.user.email,
-      amount,
-      currency: currency || "usd",
+      amount: fromCents(amountCents),
+      currency,
       status: "pending",
       sessionId: session.id,
+      transferGroup,
       createdAt: new Date().toISOString(),
     };
     await paymentsCollection.insertOne(paymentRecord);
 
-    res.json({ success: true, id: session.id, url: session.url });
+    res.json({ success: true, id: session.id, url: session.url, amount: paymentRecord.amount });
   } catch (err) {
     console.error("Payment creation error:", err);
     res.status(500).json({ message: "Payment creation failed" });
   }
 });
 
+// ---------------- Stripe event handling ----------------
+
+// ✅ Orders a checkout session pays for
+// sessions carry the id of their payment record (Stripe caps metadata values at 500 characters,
+// too short for a list of orderIds), older ones the orderIds or a single orderId
+const sessionOrderIds = async (session) => {
+  const metadata = session.metadata || {};
+  if (isObjectId(metadata.paymentId)) {
+    const payment = await paymentsCollection.findOne({ _id: new ObjectId(metadata.paymentId) });
+    return (payment?.orderIds || []).map((id) => new ObjectId(id));
+  }
+  return (metadata.orderIds || metadata.orderId || "")
+    .split(",")
+    .filter(isObjectId)
+    .map((id) => new ObjectId(id));
+};
+
+// ✅ Checkout session paid: mark payment + orders paid, auto-accept pending orders
+// runs for the webhook and for reconciliation, so only orders that change here get
+// notifications and the receipt. Orders cancelled/rejected before the (still open)
+// checkout was finished are refunded right away, or flagged for an admin if that fails.
+// paymentSessionId records which session paid an order, a second session paying it is refunded.
+const markSessionPaid = async (session) => {
+  await paymentsCollection.updateOne(
+    { sessionId: session.id, status: { $nin: ["paid", "partially_refunded", "refunded"] } },
+    { $set: { status: "paid", paymentIntentId: session.payment_intent, paidAt: new Date().toISOString() } }
+  );
+
+  const orderIds = await sessionOrderIds(session);
+  const unpaid = { $nin: ["paid", "partially_refunded", "refunded"] };
+  const paidOrders = [];
+  for (const orderId of orderIds) {
+    const paid = await ordersCollection.findOneAndUpdate(
+      { _id: orderId, paymentStatus: unpaid, orderStatus: { $nin: ["cancelled", "rejected"] } },
+      { $set: { paymentStatus: "paid", paymentSessionId: session.id } },
+      { returnDocument: "after" }
+    );
+    if (paid) {
+      paidOrders.push(paid);
+      publishOrder("payment.succeeded", paid);
+      await notify(paid.userEmail, "paymentSucceeded", {
+        title: "Payment received",
+        message: `We received $${paid.total ?? paid.price} for your order of ${paid.mealName || "meals"}`,
+        data: { orderId: paid._id },
+      });
+
+      const result = await transitionOrder({ _id: orderId }, "accepted", { role: "system" }, "Payment received");
+      if (!result.order) console.log(`Order ${orderId} not auto-accepted: ${result.message}`);
+      continue;
+    }
+
+    // ✅ paid after it was cancelled/rejected: capacity and coupon are already released, give the money back
+    const closed = await ordersCollection.findOneAndUpdate(
+      { _id: orderId, paymentStatus: unpaid, orderStatus: { $in: ["cancelled", "rejected"] } },
+      { $set: { paymentStatus: "paid", paymentSessionId: session.id } },
+      { returnDocument: "after" }
+    );
+    if (closed) {
+      const refunded = await refundOrder(closed, {
+        reason: `Paid after the order was ${closed.orderStatus}`,
+        actor: { role: "system" },
+      });
+      if (!refunded.refund) {
+        console.error(`Order ${orderId} was paid after it was ${closed.orderStatus}, refund failed: ${refunded.message}`);
+        await ordersCollection.updateOne(
+          { _id: orderId },
+          { $set: { refundRequired: true, refundError: refunded.message } }
+        );
+      }
+      continue;
+    }
+
+    // ✅ already paid through another session (a second tab, a session that was being expired)
+    const order = await ordersCollection.findOne({ _id: orderId });
+    if (order?.paymentSessionId && order.paymentSessionId !== session.id) {
+      await refundDuplicatePayment(session, order);
+    }
+  }
+
+  const payment = await paymentsCollection.findOne({ sessionId: session.id });
+  if (paidOrders.length) {
+    await queueMail(payment?.email || paidOrders[0].userEmail, "paymentReceipt", {
+      orders: paidOrders,
+      amount: payment?.amount ?? fromCents(session.amount_total || 0),
+      currency: payment?.currency || session.currency,
+      paymentIntentId: session.payment_intent,
+    });
+  }
+
+  // ✅ Chef payouts (source_transaction ties each transfer to this charge's funds)
+  // createChefPayouts skips orders that already have one, so a retried webhook still fills gaps
+  let sourceCharge = null;
+  if (session.payment_intent) {
+    const paymentIntent = await getStripe().paymentIntents.retrieve(session.payment_intent);
+    sourceCharge = paymentIntent.latest_charge || null;
+  }
+  await createChefPayouts(orderIds, {
+    transferGroup: payment?.transferGroup || `checkout_${session.id}`,
+    sourceCharge,
+  });
+
+  console.log("✅ Payment successful:", session.id);
+};
+
+// ✅ Checkout session did not get paid: status is "processing", "expired" or "failed"
+// orders that are not paid yet follow along so the user can pay again
+// an expired session gives the coupon use back, paying again reclaims it (reclaimCoupons)
+const markSessionUnpaid = async (session, status, error) => {
+  const $set = { status, [`${status}At`]: new Date().toISOString() };
+  if (session.payment_intent) $set.paymentIntentId = session.payment_intent;
+  if (error) $set.lastPaymentError = error;
+
+  await paymentsCollection.updateOne({ sessionId: session.id, status: { $ne: "paid" } }, { $set });
+
+  const orderIds = await sessionOrderIds(session);
+  await ordersCollection.updateMany(
+    { _id: { $in: orderIds }, paymentStatus: { $in: ["unpaid", "processing", "failed"] } },
+    { $set: { paymentStatus: status === "expired" ? "unpaid" : status } }
+  );
+
+  const orders = await ordersCollection.find({ _id: { $in: orderIds } }).toArray();
+  if (status === "expired") {
+    // unless the user already opened another checkout for these orders
+    const unpaid = orders.filter((order) => order.coupon && order.paymentStatus === "unpaid");
+    const stillPaying = await paymentsCollection.countDocuments({
+      sessionId: { $ne: session.id },
+      orderIds: { $in: unpaid.map((order) => order._id.toString()) },
+      status: { $in: ["pending", "processing"] },
+    });
+    for (const checkoutId of stillPaying ? [] : new Set(unpaid.map((order) => order.checkoutId))) {
+      await releaseCouponRedemption(checkoutId);
+    }
+  }
+  for (const order of orders) {
+    publishOrder(`payment.${status}`, order, { error: error || null });
+    if (status === "failed") {
+      await notify(order.userEmail, "paymentFailed", {
+        title: "Payment failed",
+        message: `The payment for your order of ${order.mealName || "meals"} failed, please try again`,
+        data: { orderId: order._id, error: error || null },
+      });
+    }
+  }
+
+  console.log(`Payment ${status}:`, session.id);
+};
+
+const stripeEventHandlers = {
+  "checkout.session.completed": async (session) => {
+    // delayed payment methods (bank debits) complete unpaid and settle later
+    if (session.payment_status === "unpaid") return markSessionUnpaid(session, "processing");
+    await markSessionPaid(session);
+  },
+
+  "checkout.session.async_payment_succeeded": markSessionPaid,
+
+  "checkout.session.async_payment_failed": (session) =>
+    markSessionUnpaid(session, "failed", "Delayed payment failed"),
+
+  "checkout.session.expired": (session) => markSessionUnpaid(session, "expired"),
+
+  "payment_intent.payment_failed": async (paymentIntent) => {
+    // Checkout lets the customer retry, a later success overwrites this
+    const sessions = await getStripe().checkout.sessions.list({ payment_intent: paymentIntent.id, limit: 1 });
+    const session = sessions.data[0];
+    if (!session) return;
+
+    await markSessionUnpaid(
+      { ...session, payment_intent: paymentIntent.id },
+      "failed",
+      paymentIntent.last_payment_error?.message || "Payment failed"
+    );
+  },
+
+  "account.updated": async (account) => {
+    const chef = await usersCollection.findOneAndUpdate(
+      { "stripeAccount.id": account.id },
+      { $set: { stripeAccount: stripeAccountStatus(account) } },
+      { returnDocument: "after" }
+    );
+    if (chef) await releasePendingPayouts(chef);
+  },
+
+  "charge.refunded": async (charge) => {
+    // refunds we started are already recorded (found by metadata.refundId, the webhook can
+    // arrive before refundOrder stored stripeRefundId), this syncs their final status.
+    // refunds made from the Stripe dashboard are recorded and applied to the payment's orders
+    const payment = await paymentsCollection.findOne({ paymentIntentId: charge.payment_intent });
+    if (!payment) return;
+
+    const stripeRefunds = await getStripe().refunds.list({ charge: charge.id, limit: 100 });
+    for (const stripeRefund of stripeRefunds.data) {
+      const refundId = stripeRefund.metadata?.refundId;
+      if (isObjectId(refundId)) {
+        await refundsCollection.updateOne(
+          { _id: new ObjectId(refundId) },
+          { $set: { stripeRefundId: stripeRefund.id, status: stripeRefund.status } }
+        );
+        continue;
+      }
+
+      const recorded = await refundsCollection.updateOne(
+        { stripeRefundId: stripeRefund.id },
+        {
+          $set: { status: stripeRefund.status },
+          $setOnInsert: {
+            paymentId: payment._id,
+            orderId: isObjectId(stripeRefund.metadata?.orderId)
+              ? new ObjectId(stripeRefund.metadata.orderId)
+              : null,
+            amount: fromCents(stripeRefund.amount),
+            currency: stripeRefund.currency,
+            reason: stripeRefund.reason || null,
+            initiatedBy: { role: "stripe", email: null },
+            createdAt: new Date(stripeRefund.created * 1000).toISOString(),
+          },
+        },
+        { upsert: true }
+      );
+      if (!recorded.upsertedCount || ["failed", "canceled"].includes(stripeRefund.status)) continue;
+
+      // ✅ new dashboard refund: fill up the payment's orders in order until the amount is used
+      let cents = stripeRefund.amount;
+      const allocations = [];
+      const orderIds = (payment.orderIds || [payment.orderId]).filter(isObjectId).map((id) => new ObjectId(id));
+      for (const order of await ordersCollection.find({ _id: { $in: orderIds } }).sort({ _id: 1 }).toArray()) {
+        const refundable = toCents(order.total ?? order.price) - toCents(order.refundedAmount || 0);
+        const share = Math.min(refundable, cents);
+        if (!(share > 0)) continue;
+        await applyOrderRefund(order, { cents: share, refundId: recorded.upsertedId, reason: "Refunded in Stripe" });
+        allocations.push({ orderId: order._id, amount: fromCents(share) });
+        cents -= share;
+        if (!cents) break;
+      }
+      await refundsCollection.updateOne(
+        { _id: recorded.upsertedId },
+        { $set: { orderId: allocations[0]?.orderId || null, allocations } }
+      );
+    }
+
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          refundedAmount: fromCents(charge.amount_refunded),
+          status: charge.refunded ? "refunded" : "partially_refunded",
+        },
+      }
+    );
+
+    console.log("↩️ Charge refunded:", charge.id);
+  },
+};
+
+// ✅ Claim an event for processing, false if it was already handled (or is being handled)
+// failed events and ones stuck in "processing" for 10 minutes can be claimed again
+const claimStripeEvent = async (event) => {
+  const now = new Date();
+  try {
+    await stripeEventsCollection.insertOne({
+      _id: event.id,
+      type: event.type,
+      status: "processing",
+      attempts: 1,
+      receivedAt: now,
+      lockedAt: now,
+    });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const retried = await stripeEventsCollection.updateOne(
+    {
+      _id: event.id,
+      $or: [
+        { status: "failed" },
+        { status: "processing", lockedAt: { $lt: new Date(now.getTime() - 10 * 60 * 1000) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } }
+  );
+  return retried.modifiedCount === 1;
+};
+
 // ✅ Stripe Webhook
 app.post("/payments/webhook", express.raw({ type: "application/json" }), async (req, res) => {
   const sig = req.headers["stripe-signature"];
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = getStripe().webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
   } catch (err) {
     console.error("Webhook error:", err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === "checkout.session.completed") {
-    const session = event.data.object;
+  try {
+    if (!(await claimStripeEvent(event))) {
+      return res.json({ received: true, duplicate: true });
+    }
 
-    // ✅ Update payment record
-    await paymentsCollection.updateOne(
-      { sessionId: session.id },
-      { $set: { status: "paid", paidAt: new Date().toISOString() } }
+    const handler = stripeEventHandlers[event.type];
+    if (handler) await handler(event.data.object);
+
+    await stripeEventsCollection.updateOne(
+      { _id: event.id },
+      { $set: { status: handler ? "processed" : "ignored", processedAt: new Date() } }
     );
+  } catch (err) {
+    console.error(`Webhook ${event.type} (${event.id}) failed:`, err);
+    await stripeEventsCollection
+      .updateOne({ _id: event.id }, { $set: { status: "failed", error: err.message } })
+      .catch(() => {});
+    return res.status(500).json({ message: "Webhook handling failed" }); // Stripe will retry
+  }
 
-    // ✅ Update order payment status
-    if (session.metadata?.orderId) {
-      await ordersCollection.updateOne(
-        { _id: new ObjectId(session.metadata.orderId) },
-        { $set: { paymentStatus: "paid", orderStatus: "accepted" } }
+  res.json({ received: true });
+});
+
+// ✅ Re-check payments stuck at "pending"/"processing" against Stripe
+// covers webhooks that never arrived (downtime, misconfigured endpoint)
+const reconcilePendingPayments = async ({ olderThanMinutes = 30, limit = 100 } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000).toISOString();
+  const stale = await paymentsCollection
+    .find({ status: { $in: ["pending", "processing"] }, createdAt: { $lt: cutoff } })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  const summary = { checked: 0, paid: 0, expired: 0, unchanged: 0, errors: 0 };
+  for (const payment of stale) {
+    summary.checked++;
+    try {
+      const session = await getStripe().checkout.sessions.retrieve(payment.sessionId);
+      if (session.payment_status === "paid" || session.payment_status === "no_payment_required") {
+        await markSessionPaid(session);
+        summary.paid++;
+      } else if (session.status === "expired") {
+        await markSessionUnpaid(session, "expired");
+        summary.expired++;
+      } else {
+        summary.unchanged++;
+      }
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $set: { reconciledAt: new Date().toISOString() } }
       );
+    } catch (err) {
+      console.error(`Reconciliation failed for payment ${payment._id}:`, err.message);
+      summary.errors++;
     }
+  }
+  return summary;
+};
 
-    console.log("✅ Payment successful:", session.id);
+// ✅ Run reconciliation on demand (Admin only, e.g. from a cron on serverless hosts)
+app.post("/admin/payments/reconcile", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const olderThanMinutes = parseInt(req.body?.olderThanMinutes) || 30;
+    const summary = await reconcilePendingPayments({ olderThanMinutes });
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error("Reconciliation error:", err);
+    res.status(500).json({ message: "Failed to reconcile payments" });
   }
+});
 
-  res.json({ received: true });
+// ✅ Background reconciliation when running as a long lived server
+const reconcileEvery = parseInt(process.env.RECONCILE_INTERVAL_MINUTES ?? "15");
+if (require.main === module && reconcileEvery > 0) {
+  setInterval(() => {
+    reconcilePendingPayments()
+      .then((summary) => summary.checked && console.log("Payment reconciliation:", summary))
+      .catch((err) => console.error("Payment reconciliation error:", err));
+  }, reconcileEvery * 60 * 1000).unref();
+}
+
+// ---------------- MAIL OUTBOX (Admin) ----------------
+
+// ✅ Outbox entries (Admin only) - query: status (pending, sending, sent, failed), to, page, limit
+app.get("/admin/mail", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.to) filter.to = String(req.query.to);
+
+    const { items, pagination } = await paginate(mailOutboxCollection, filter, {
+      ...parsePagination(req.query),
+      sort: { createdAt: -1, _id: -1 },
+      projection: { html: 0 },
+    });
+    res.json({ success: true, mails: items, pagination });
+  } catch (err) {
+    console.error("Error fetching mail outbox:", err);
+    res.status(500).json({ message: "Failed to fetch mail outbox" });
+  }
+});
+
+// ✅ Retry a failed mail now (Admin only)
+app.post("/admin/mail/:id/retry", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const mail = await mailOutboxCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), status: "failed" },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!mail) return res.status(404).json({ message: "No failed mail with this id" });
+
+    const summary = await processMailOutbox();
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error("Error retrying mail:", err);
+    res.status(500).json({ message: "Failed to retry mail" });
+  }
+});
+
+// ✅ Retry due outbox mails in the background (mail server was down, etc.)
+const mailRetryEvery = parseInt(process.env.MAIL_RETRY_INTERVAL_SECONDS ?? "60");
+if (require.main === module && mailRetryEvery > 0) {
+  setInterval(() => {
+    processMailOutbox()
+      .then((summary) => summary.sent && console.log("Mail outbox:", summary))
+      .catch((err) => console.error("Mail outbox error:", err));
+  }, mailRetryEvery * 1000).unref();
+}
+
+// ---------------- IMAGES (Admin) ----------------
+
+// ✅ Remove orphaned and never used images now (Admin only)
+app.post("/admin/images/cleanup", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const summary = await cleanupImages();
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error("Error cleaning up images:", err);
+    res.status(500).json({ message: "Failed to clean up images" });
+  }
 });
 
+// ✅ Image cleanup in the background
+const imageCleanupEvery = parseInt(process.env.IMAGE_CLEANUP_INTERVAL_MINUTES ?? "60");
+if (require.main === module && imageCleanupEvery > 0) {
+  setInterval(() => {
+    cleanupImages()
+      .then((summary) => summary.removed && console.log("Image cleanup:", summary))
+      .catch((err) => console.error("Image cleanup error:", err));
+  }, imageCleanupEvery * 60 * 1000).unref();
+}
+
 
 
 
@@ -952,7 +6058,12 @@ run().catch(console.dir);
 
 
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-});
+// ✅ Only listen when started directly (tests and Vercel import the app)
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
+
+module.exports = app;
 
@@ -0,0 +1,139 @@
+// ✅ One-off migration: normalize existing meals to the unified meal schema
+// - chefId: user _id (old /chef/meals) or only chefEmail (old /meals) -> the chef's "chef-XXXX" id
+// - foodName/price/ingredients/images/dietaryTags/status/deletedAt/dates -> current field shapes
+// - averageRating/reviewCount recomputed from public reviews
+// - orders pointing at a chef's user _id or email get the same chefId
+// usage: node scripts/migrate-meals.js [--dry-run]
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const dryRun = process.argv.includes("--dry-run");
+const client = new MongoClient(process.env.MONGO_URI);
+
+// "a, b" -> ["a", "b"], for ingredients and tags
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+// a single image url stays one entry (urls can contain commas)
+const toUrlList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .map((v) => String(v ?? "").trim())
+    .filter(Boolean);
+
+const toIso = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+};
+
+async function migrate() {
+  await client.connect();
+  const db = client.db("LocalChefBazaar");
+  const users = db.collection("users");
+  const meals = db.collection("meals");
+  const orders = db.collection("orders");
+  const reviews = db.collection("reviews");
+  const counters = db.collection("counters");
+
+  // same counter as the server ("chef-0001", ...), ids that are already taken are skipped
+  const taken = new Set((await users.distinct("chefId")).filter(Boolean));
+  const newChefId = async () => {
+    if (dryRun) return "chef-(new)";
+    for (;;) {
+      const { seq } = await counters.findOneAndUpdate(
+        { _id: "chefId" },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+      const chefId = `chef-${String(seq).padStart(4, "0")}`;
+      if (!taken.has(chefId)) {
+        taken.add(chefId);
+        return chefId;
+      }
+    }
+  };
+
+  // ✅ chef lookups by user _id, email and chefId
+  const chefs = await users.find({ role: "chef" }).toArray();
+  const byRef = new Map();
+  for (const chef of chefs) {
+    if (!chef.chefId) {
+      chef.chefId = await newChefId();
+      console.log(`chef ${chef.email}: assigning ${chef.chefId}`);
+      if (!dryRun) await users.updateOne({ _id: chef._id }, { $set: { chefId: chef.chefId } });
+    }
+    byRef.set(chef._id.toString(), chef);
+    byRef.set(chef.email, chef);
+    byRef.set(chef.chefId, chef);
+  }
+
+  // ✅ public rating per meal
+  const ratings = new Map();
+  const ratingRows = await reviews
+    .aggregate([
+      { $match: { moderationStatus: { $nin: ["flagged", "hidden"] } } },
+      { $group: { _id: "$foodId", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+  for (const row of ratingRows) ratings.set(String(row._id), row);
+
+  let updatedMeals = 0;
+  let orphanMeals = 0;
+  for await (const meal of meals.find()) {
+    const chef = byRef.get(String(meal.chefId)) || byRef.get(meal.chefEmail);
+    if (!chef) {
+      orphanMeals++;
+      console.warn(`meal ${meal._id}: no chef found for chefId=${meal.chefId} chefEmail=${meal.chefEmail}`);
+    }
+
+    const images = toUrlList(meal.images ?? meal.foodImage);
+    const rating = ratings.get(meal._id.toString());
+    const createdAt = toIso(meal.createdAt) || meal._id.getTimestamp().toISOString();
+    const deletedAt = toIso(meal.deletedAt);
+
+    const $set = {
+      foodName: String(meal.foodName ?? meal.name ?? meal.mealName ?? "").trim(),
+      price: Number(meal.price) || 0,
+      ingredients: toList(meal.ingredients),
+      images,
+      foodImage: images[0] || null,
+      dietaryTags: toList(meal.dietaryTags).map((tag) => tag.toLowerCase()),
+      status: deletedAt ? "archived" : ["draft", "published", "archived"].includes(meal.status) ? meal.status : "published",
+      deletedAt,
+      averageRating: rating ? Math.round(rating.average * 10) / 10 : 0,
+      reviewCount: rating ? rating.count : 0,
+      orderCount: Number(meal.orderCount) || 0,
+      createdAt,
+      updatedAt: toIso(meal.updatedAt) || createdAt,
+    };
+    if (chef) {
+      Object.assign($set, { chefId: chef.chefId, chefEmail: chef.email, chefName: meal.chefName || chef.name || null });
+    }
+
+    if (!dryRun) {
+      await meals.updateOne({ _id: meal._id }, { $set, $unset: { name: "", mealName: "" } });
+    }
+    updatedMeals++;
+  }
+
+  // ✅ orders: same chef reference as the meals
+  let updatedOrders = 0;
+  for await (const order of orders.find({}, { projection: { chefId: 1, chefEmail: 1 } })) {
+    const chef = byRef.get(String(order.chefId)) || byRef.get(order.chefEmail);
+    if (!chef || order.chefId === chef.chefId) continue;
+    if (!dryRun) await orders.updateOne({ _id: order._id }, { $set: { chefId: chef.chefId, chefEmail: chef.email } });
+    updatedOrders++;
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}meals normalized: ${updatedMeals} (without chef: ${orphanMeals}), orders re-linked: ${updatedOrders}`
+  );
+}
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
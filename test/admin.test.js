@@ -0,0 +1,86 @@
+// Admin user actions: a role change only allocates a chefId once the checks have passed
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const { installMemoryMongo } = require("./support/memory-mongo");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.MONGO_URI = "mongodb://memory";
+
+const mongo = installMemoryMongo();
+const app = require("../index");
+const { ObjectId } = require("mongodb");
+
+const db = mongo.db("LocalChefBazaar");
+
+let server;
+let baseUrl;
+
+// ✅ user + session + access token cookie, signed like setAuthCookie does
+const login = async (fields) => {
+  const user = { _id: new ObjectId(), status: "active", createdAt: new Date().toISOString(), ...fields };
+  await db.collection("users").insertOne(user);
+  const { insertedId } = await db.collection("sessions").insertOne({
+    userId: user._id,
+    email: user.email,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+  });
+  const token = jwt.sign(
+    { id: user._id.toString(), email: user.email, role: user.role, chefId: null, status: "active", sid: insertedId.toString() },
+    process.env.JWT_SECRET
+  );
+  return { user, cookie: `token=${token}` };
+};
+
+const changeRole = (cookie, userId, role) =>
+  fetch(`${baseUrl}/admin/users/${userId}/role`, {
+    method: "PATCH",
+    headers: { cookie, "content-type": "application/json" },
+    body: JSON.stringify({ role, reason: "Approved kitchen" }),
+  });
+
+before(async () => {
+  app.set("mailer", { send: async () => ({ messageId: "test" }) });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("PATCH /admin/users/:id/role", () => {
+  it("doesn't use up a chefId on a refused or no-op change", async () => {
+    const admin = await login({ email: "admin@test.dev", role: "admin" });
+    const chef = await login({ email: "chef@test.dev", role: "chef", chefId: "chef-0007" });
+
+    const self = await changeRole(admin.cookie, admin.user._id, "chef");
+    assert.equal(self.status, 409);
+    const same = await changeRole(admin.cookie, chef.user._id, "chef");
+    assert.equal(same.status, 409);
+
+    assert.equal(await db.collection("counters").findOne({ _id: "chefId" }), null);
+    assert.equal((await db.collection("users").findOne({ _id: admin.user._id })).role, "admin");
+  });
+
+  it("allocates a chefId when a user becomes a chef", async () => {
+    const admin = await login({ email: "admin@test.dev", role: "admin" });
+    const { user } = await login({ email: "user@test.dev", role: "user" });
+
+    const res = await changeRole(admin.cookie, user._id, "chef");
+
+    assert.equal(res.status, 200, await res.clone().text());
+    const updated = await db.collection("users").findOne({ _id: user._id });
+    assert.equal(updated.role, "chef");
+    assert.equal(updated.chefId, "chef-0001");
+    const audit = await db.collection("audit_logs").findOne({ targetUserId: user._id });
+    assert.deepEqual(audit.before, { role: "user", chefId: null });
+  });
+});
@@ -0,0 +1,126 @@
+// Firebase ID token verification on register/login, with a local RSA key standing in for
+// Google's signing keys (injected through app.set("firebaseCerts"))
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const { installMemoryMongo } = require("./support/memory-mongo");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.MONGO_URI = "mongodb://memory";
+process.env.FIREBASE_PROJECT_ID = "localchef-test";
+
+const mongo = installMemoryMongo();
+const app = require("../index");
+
+const db = mongo.db("LocalChefBazaar");
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+const KID = "test-key";
+
+// ✅ an ID token shaped like Firebase's, claims/options override the defaults
+const idToken = (claims = {}, { key = privateKey, kid = KID, expiresIn = "1h" } = {}) =>
+  jwt.sign(
+    {
+      aud: process.env.FIREBASE_PROJECT_ID,
+      iss: `https://securetoken.google.com/${process.env.FIREBASE_PROJECT_ID}`,
+      sub: "firebase-uid-1",
+      email: "user@test.dev",
+      name: "User",
+      ...claims,
+    },
+    key,
+    { algorithm: "RS256", keyid: kid, expiresIn }
+  );
+
+let server;
+let baseUrl;
+
+const request = async (path, body) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json(), cookies: res.headers.getSetCookie() };
+};
+
+before(async () => {
+  app.set("firebaseCerts", { [KID]: publicKey.export({ type: "spki", format: "pem" }) });
+  app.set("mailer", { send: async () => ({ messageId: "test" }) });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => db.reset());
+
+describe("POST /auth/register", () => {
+  it("creates the user from a valid token and starts a session", async () => {
+    const res = await request("/auth/register", { idToken: idToken(), address: "Dhaka" });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.user.email, "user@test.dev");
+    assert.equal(res.body.user.role, "user");
+    assert.ok(res.cookies.some((cookie) => cookie.startsWith("token=")));
+    const user = await db.collection("users").findOne({ email: "user@test.dev" });
+    assert.equal(user.firebaseUid, "firebase-uid-1");
+  });
+
+  const rejected = {
+    "a token signed with another key": () => idToken({}, { key: otherKey }),
+    "a token signed with an unknown key id": () => idToken({}, { kid: "rotated-away" }),
+    "a token for another project": () => idToken({ aud: "someone-else" }),
+    "a token from another issuer": () => idToken({ iss: "https://evil.test/localchef-test" }),
+    "an expired token": () => idToken({}, { expiresIn: -60 }),
+    "a token without an email": () => idToken({ email: undefined }),
+    "something that is not a JWT": () => "not-a-token",
+  };
+  for (const [name, token] of Object.entries(rejected)) {
+    it(`rejects ${name}`, async () => {
+      const res = await request("/auth/register", { idToken: token() });
+
+      assert.equal(res.status, 401, JSON.stringify(res.body));
+      assert.equal(await db.collection("users").countDocuments(), 0);
+    });
+  }
+});
+
+describe("POST /auth/login", () => {
+  it("links an account created before token verification on first login", async () => {
+    await db.collection("users").insertOne({ email: "user@test.dev", name: "User", role: "user", status: "active" });
+
+    const res = await request("/auth/login", { idToken: idToken() });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const user = await db.collection("users").findOne({ email: "user@test.dev" });
+    assert.equal(user.firebaseUid, "firebase-uid-1");
+  });
+
+  it("refuses a token of another Firebase user for a linked email", async () => {
+    await db.collection("users").insertOne({
+      email: "user@test.dev",
+      role: "user",
+      status: "active",
+      firebaseUid: "firebase-uid-1",
+    });
+
+    const res = await request("/auth/login", { idToken: idToken({ sub: "firebase-uid-2" }) });
+
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects an expired token", async () => {
+    await db.collection("users").insertOne({ email: "user@test.dev", role: "user", status: "active" });
+
+    const res = await request("/auth/login", { idToken: idToken({}, { expiresIn: -60 }) });
+
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,442 @@
+// Payments against a stubbed Stripe client and an in-memory database:
+// checkout creation, the webhook, refunds (ours and ones made in the Stripe dashboard) and coupon holds
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const { installMemoryMongo } = require("./support/memory-mongo");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.MONGO_URI = "mongodb://memory";
+process.env.DELIVERY_FEE = "2";
+process.env.TAX_RATE = "0";
+
+const mongo = installMemoryMongo();
+const app = require("../index");
+const { ObjectId } = require("mongodb");
+
+const db = mongo.db("LocalChefBazaar");
+
+// ✅ records what the app sent to Stripe, answers like the Stripe API would
+const createStripeStub = () => {
+  const calls = { sessions: [], expired: [], refunds: [] };
+  const stripeRefunds = [];
+  return {
+    calls,
+    stripeRefunds, // what refunds.list returns, tests add dashboard refunds here
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          calls.sessions.push(params);
+          return { id: `cs_test_${calls.sessions.length}`, url: "https://checkout.stripe.test/pay" };
+        },
+        list: async () => ({ data: [] }),
+        retrieve: async (id) => ({ id, status: calls.expired.includes(id) ? "expired" : "open" }),
+        expire: async (id) => {
+          calls.expired.push(id);
+          return { id, status: "expired" };
+        },
+      },
+    },
+    paymentIntents: { retrieve: async (id) => ({ id, latest_charge: "ch_test_1" }) },
+    refunds: {
+      create: async (params, options) => {
+        calls.refunds.push({ params, options });
+        const refund = { id: `re_test_${calls.refunds.length}`, status: "succeeded", ...params };
+        stripeRefunds.push(refund);
+        return refund;
+      },
+      list: async () => ({ data: stripeRefunds }),
+    },
+    transfers: { create: async () => ({ id: "tr_test_1" }), createReversal: async () => ({ id: "trr_test_1" }) },
+    webhooks: { constructEvent: (body) => JSON.parse(body.toString()) },
+  };
+};
+
+let server;
+let baseUrl;
+let stripe;
+let eventCount = 0;
+
+// ✅ user + session + access token cookie, signed like setAuthCookie does
+const login = async (fields) => {
+  const user = { _id: new ObjectId(), status: "active", createdAt: new Date().toISOString(), ...fields };
+  await db.collection("users").insertOne(user);
+  const { insertedId } = await db.collection("sessions").insertOne({
+    userId: user._id,
+    email: user.email,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+  });
+  const token = jwt.sign(
+    { id: user._id.toString(), email: user.email, role: user.role, chefId: user.chefId || null, status: "active", sid: insertedId.toString() },
+    process.env.JWT_SECRET
+  );
+  return `token=${token}`;
+};
+
+const request = async (method, path, { cookie, body, raw } = {}) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "content-type": "application/json", ...(cookie && { cookie }) },
+    body: raw ?? (body && JSON.stringify(body)),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const sendEvent = (type, object) =>
+  request("POST", "/payments/webhook", { raw: JSON.stringify({ id: `evt_test_${++eventCount}`, type, data: { object } }) });
+
+// ✅ a published $12 meal and an order for it, returns { userCookie, chefCookie, order }
+// extra: more order body fields (couponCode, ...)
+const placeOrder = async (extra = {}) => {
+  const chefCookie = await login({ email: "chef@test.dev", role: "chef", chefId: "chef-0001", name: "Chef" });
+  const { insertedId: mealId } = await db.collection("meals").insertOne({
+    foodName: "Khichuri",
+    price: 12,
+    chefId: "chef-0001",
+    chefName: "Chef",
+    chefEmail: "chef@test.dev",
+    ingredients: ["rice", "dal"],
+    status: "published",
+    deletedAt: null,
+  });
+
+  const userCookie = await login({ email: "user@test.dev", role: "user", name: "User" });
+  const placed = await request("POST", "/orders", { cookie: userCookie, body: { items: [{ mealId, quantity: 1 }], ...extra } });
+  assert.equal(placed.status, 200, JSON.stringify(placed.body));
+  return { userCookie, chefCookie, order: placed.body.orders[0] };
+};
+
+// ✅ create-payment + checkout.session.completed, returns the paid order
+const payOrder = async (userCookie, order) => {
+  const created = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const session = stripe.calls.sessions.at(-1);
+  await sendEvent("checkout.session.completed", {
+    id: created.body.id,
+    payment_status: "paid",
+    payment_intent: "pi_test_1",
+    amount_total: session.line_items.reduce((sum, item) => sum + item.price_data.unit_amount, 0),
+    currency: "usd",
+    metadata: session.metadata,
+  });
+  return db.collection("orders").findOne({ _id: new ObjectId(order._id) });
+};
+
+before(async () => {
+  app.set("mailer", { send: async () => ({ messageId: "test" }) });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  db.reset();
+  stripe = createStripeStub();
+  app.set("stripe", stripe);
+});
+
+describe("POST /payments/create-payment", () => {
+  it("charges the server computed total and records a pending payment", async () => {
+    const { userCookie, order } = await placeOrder();
+
+    const res = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.url, "https://checkout.stripe.test/pay");
+    assert.equal(res.body.amount, 14); // $12 meal + $2 delivery
+    assert.equal(stripe.calls.sessions[0].line_items[0].price_data.unit_amount, 1400);
+
+    const payment = await db.collection("payments").findOne({ sessionId: res.body.id });
+    assert.equal(payment.status, "pending");
+    assert.deepEqual(payment.orderIds, [order._id]);
+    assert.deepEqual(stripe.calls.sessions[0].metadata, { paymentId: payment._id.toString() });
+  });
+
+  it("expires the open session of the order before it opens a new one", async () => {
+    const { userCookie, order } = await placeOrder();
+
+    const first = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    const second = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+
+    assert.equal(second.status, 200, JSON.stringify(second.body));
+    assert.deepEqual(stripe.calls.expired, [first.body.id]);
+    const payment = await db.collection("payments").findOne({ sessionId: first.body.id });
+    assert.equal(payment.status, "expired");
+  });
+
+  it("refuses orders that are already paid", async () => {
+    const { userCookie, order } = await placeOrder();
+    await payOrder(userCookie, order);
+
+    const res = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+
+    assert.equal(res.status, 409);
+    assert.equal(stripe.calls.sessions.length, 1);
+  });
+});
+
+describe("POST /payments/webhook", () => {
+  it("marks the order paid and accepted on checkout.session.completed", async () => {
+    const { userCookie, order } = await placeOrder();
+
+    const paid = await payOrder(userCookie, order);
+
+    assert.equal(paid.paymentStatus, "paid");
+    assert.equal(paid.orderStatus, "accepted");
+    const payment = await db.collection("payments").findOne({ orderIds: order._id });
+    assert.equal(payment.status, "paid");
+    assert.equal(payment.paymentIntentId, "pi_test_1");
+    const payout = await db.collection("payouts").findOne({ orderId: paid._id });
+    assert.equal(payout.status, "pending_onboarding"); // the chef has no Stripe account yet
+  });
+
+  it("sends one receipt when the webhook and reconciliation both see the payment", async () => {
+    const { userCookie, order } = await placeOrder();
+    await payOrder(userCookie, order);
+    const session = stripe.calls.sessions[0];
+
+    // same session again under a new event id, as reconciliation would pass it
+    await sendEvent("checkout.session.completed", {
+      id: "cs_test_1",
+      payment_status: "paid",
+      payment_intent: "pi_test_1",
+      metadata: session.metadata,
+    });
+
+    const receipts = await db.collection("mail_outbox").countDocuments({ template: "paymentReceipt" });
+    assert.equal(receipts, 1);
+    const notifications = await db.collection("notifications").countDocuments({ type: "paymentSucceeded" });
+    assert.equal(notifications, 1);
+  });
+
+  it("refunds a checkout finished after the order was cancelled", async () => {
+    const { userCookie, order } = await placeOrder();
+    const created = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    const cancelled = await request("PUT", `/orders/${order._id}/cancel`, { cookie: userCookie, body: {} });
+    assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+
+    await sendEvent("checkout.session.completed", {
+      id: created.body.id,
+      payment_status: "paid",
+      payment_intent: "pi_test_1",
+      metadata: stripe.calls.sessions[0].metadata,
+    });
+
+    const refunded = await db.collection("orders").findOne({ _id: new ObjectId(order._id) });
+    assert.equal(refunded.paymentStatus, "refunded");
+    assert.equal(stripe.calls.refunds[0].params.amount, 1400);
+    assert.equal(await db.collection("payouts").countDocuments({ orderId: refunded._id }), 0);
+  });
+
+  it("still finds the orders of sessions that carry orderIds in their metadata", async () => {
+    const { order } = await placeOrder();
+
+    await sendEvent("checkout.session.completed", {
+      id: "cs_legacy",
+      payment_status: "paid",
+      payment_intent: "pi_test_1",
+      metadata: { orderIds: order._id },
+    });
+
+    const paid = await db.collection("orders").findOne({ _id: new ObjectId(order._id) });
+    assert.equal(paid.paymentStatus, "paid");
+  });
+
+  it("refunds a second session that completes for an order that is already paid", async () => {
+    const { userCookie, order } = await placeOrder();
+    // both sessions were completed, e.g. in two tabs before the first one could be expired
+    const first = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    const second = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    const complete = (id, paymentIntent, metadata) =>
+      sendEvent("checkout.session.completed", { id, payment_status: "paid", payment_intent: paymentIntent, metadata });
+
+    await complete(first.body.id, "pi_test_1", stripe.calls.sessions[0].metadata);
+    await complete(second.body.id, "pi_test_2", stripe.calls.sessions[1].metadata);
+    await complete(second.body.id, "pi_test_2", stripe.calls.sessions[1].metadata); // redelivered
+
+    const paid = await db.collection("orders").findOne({ _id: new ObjectId(order._id) });
+    assert.equal(paid.paymentStatus, "paid");
+    assert.equal(paid.paymentSessionId, first.body.id);
+    assert.equal(stripe.calls.refunds.length, 1);
+    assert.equal(stripe.calls.refunds[0].params.payment_intent, "pi_test_2");
+    assert.equal(stripe.calls.refunds[0].params.amount, 1400);
+    const duplicate = await db.collection("payments").findOne({ sessionId: second.body.id });
+    assert.equal(duplicate.status, "refunded");
+    assert.equal(await db.collection("mail_outbox").countDocuments({ template: "paymentReceipt" }), 1);
+  });
+
+  it("handles a redelivered event only once", async () => {
+    const event = JSON.stringify({ id: "evt_test_same", type: "checkout.session.expired", data: { object: { id: "cs_x", metadata: {} } } });
+
+    const first = await request("POST", "/payments/webhook", { raw: event });
+    const second = await request("POST", "/payments/webhook", { raw: event });
+
+    assert.deepEqual(first.body, { received: true });
+    assert.deepEqual(second.body, { received: true, duplicate: true });
+  });
+});
+
+describe("refunds", () => {
+  it("refunds part of a paid order through Stripe", async () => {
+    const { userCookie, order } = await placeOrder();
+    await payOrder(userCookie, order);
+    const adminCookie = await login({ email: "admin@test.dev", role: "admin" });
+
+    const res = await request("POST", `/admin/orders/${order._id}/refunds`, { cookie: adminCookie, body: { amount: 5 } });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(stripe.calls.refunds[0].params.amount, 500);
+    assert.equal(stripe.calls.refunds[0].params.payment_intent, "pi_test_1");
+    assert.match(stripe.calls.refunds[0].options.idempotencyKey, /^refund-/);
+    assert.equal(res.body.order.refundedAmount, 5);
+    assert.equal(res.body.order.paymentStatus, "partially_refunded");
+  });
+
+  it("refunds a paid order the chef rejects", async () => {
+    const { userCookie, chefCookie, order } = await placeOrder();
+    await payOrder(userCookie, order);
+
+    const res = await request("PUT", `/chef/orders/${order._id}/reject`, { cookie: chefCookie, body: { note: "Out of rice" } });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(stripe.calls.refunds[0].params.amount, 1400);
+    const rejected = await db.collection("orders").findOne({ _id: new ObjectId(order._id) });
+    assert.deepEqual(rejected.statusHistory.map((entry) => entry.to), ["pending", "accepted", "rejected", "refunded"]);
+    assert.equal(rejected.paymentStatus, "refunded");
+    const payout = await db.collection("payouts").findOne({ orderId: rejected._id });
+    assert.equal(payout.status, "cancelled"); // never transferred, nothing left to pay the chef
+  });
+
+  it("applies refunds made in the Stripe dashboard to the order, once", async () => {
+    const { userCookie, order } = await placeOrder();
+    await payOrder(userCookie, order);
+    const adminCookie = await login({ email: "admin@test.dev", role: "admin" });
+    await request("POST", `/admin/orders/${order._id}/refunds`, { cookie: adminCookie, body: { amount: 5 } });
+
+    // the rest refunded by hand in the dashboard: no metadata
+    stripe.stripeRefunds.push({ id: "re_dashboard", status: "succeeded", amount: 900, currency: "usd", metadata: {}, created: 1 });
+    const charge = { id: "ch_test_1", payment_intent: "pi_test_1", amount_refunded: 1400, refunded: true };
+    await sendEvent("charge.refunded", charge);
+    await sendEvent("charge.refunded", charge); // Stripe sends one per refund, both list every refund
+
+    const refunded = await db.collection("orders").findOne({ _id: new ObjectId(order._id) });
+    assert.equal(refunded.refundedAmount, 14);
+    assert.equal(refunded.paymentStatus, "refunded");
+
+    const refunds = await db.collection("refunds").find({ orderId: refunded._id }).toArray();
+    assert.deepEqual(refunds.map((r) => r.stripeRefundId).sort(), ["re_dashboard", "re_test_1"]);
+    const payment = await db.collection("payments").findOne({ paymentIntentId: "pi_test_1" });
+    assert.equal(payment.status, "refunded");
+  });
+});
+
+describe("GET /chef/dashboard", () => {
+  it("reports payout earnings and only the chef's own accept/reject decisions", async () => {
+    const { userCookie, chefCookie, order } = await placeOrder();
+    await payOrder(userCookie, order); // auto-accepted by the system, not by the chef
+
+    let res = await request("GET", "/chef/dashboard?timezone=Etc/UTC", { cookie: chefCookie });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.earnings.total, 12.8); // $12 food - 10% commission + $2 delivery
+    assert.equal(res.body.orders.acceptanceRate, null);
+
+    await request("PUT", `/chef/orders/${order._id}/reject`, { cookie: chefCookie, body: {} });
+    res = await request("GET", "/chef/dashboard?timezone=Etc/UTC", { cookie: chefCookie });
+
+    assert.equal(res.body.orders.acceptanceRate, 0);
+    assert.equal(res.body.orders.rejectionRate, 100);
+  });
+});
+
+describe("GET /chef/earnings", () => {
+  it("lists the chef's payouts by chefId, like the dashboard", async () => {
+    const { userCookie, chefCookie, order } = await placeOrder();
+    await payOrder(userCookie, order);
+    // the payout row's chefEmail is only a copy, a changed email must not hide it
+    await db.collection("payouts").updateMany({}, { $set: { chefEmail: "old@test.dev" } });
+
+    const res = await request("GET", "/chef/earnings", { cookie: chefCookie });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.payouts.length, 1);
+    assert.equal(res.body.summary.pending, 12.8);
+  });
+});
+
+describe("coupons", () => {
+  const addCoupon = () =>
+    db.collection("coupons").insertOne({
+      code: "SAVE2",
+      type: "fixed",
+      value: 2,
+      fundedBy: "platform",
+      usageLimit: 1,
+      redemptions: 0,
+      active: true,
+    });
+  const redemptions = async () => (await db.collection("coupons").findOne({ code: "SAVE2" })).redemptions;
+  const expire = (session) => sendEvent("checkout.session.expired", { id: session.id, metadata: session.metadata });
+
+  it("gives the use back when the checkout expires and takes it again on the next payment", async () => {
+    await addCoupon();
+    const { userCookie, order } = await placeOrder({ couponCode: "SAVE2" });
+    assert.equal(order.total, 12);
+    assert.equal(await redemptions(), 1);
+
+    const created = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    await expire({ id: created.body.id, metadata: stripe.calls.sessions[0].metadata });
+    await expire({ id: created.body.id, metadata: stripe.calls.sessions[0].metadata }); // redelivered
+    assert.equal(await redemptions(), 0);
+
+    const retried = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    assert.equal(retried.status, 200, JSON.stringify(retried.body));
+    assert.equal(await redemptions(), 1);
+  });
+
+  it("refuses to pay a discounted order once its released coupon is used up", async () => {
+    await addCoupon();
+    const { userCookie, order } = await placeOrder({ couponCode: "SAVE2" });
+    const created = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    await expire({ id: created.body.id, metadata: stripe.calls.sessions[0].metadata });
+    await db.collection("coupons").updateOne({ code: "SAVE2" }, { $set: { redemptions: 1 } }); // someone else used it
+
+    const retried = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+
+    assert.equal(retried.status, 409);
+    assert.equal(stripe.calls.sessions.length, 1);
+  });
+
+  it("gives the reclaimed use back when Stripe fails to open the new session", async () => {
+    await addCoupon();
+    const { userCookie, order } = await placeOrder({ couponCode: "SAVE2" });
+    const created = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+    await expire({ id: created.body.id, metadata: stripe.calls.sessions[0].metadata });
+    stripe.checkout.sessions.create = async () => {
+      throw new Error("Stripe is down");
+    };
+
+    const retried = await request("POST", "/payments/create-payment", { cookie: userCookie, body: { orderId: order._id } });
+
+    assert.equal(retried.status, 500);
+    assert.equal(await redemptions(), 0);
+    const usage = await db.collection("coupon_usage").findOne({});
+    assert.equal(usage.count, 0);
+  });
+
+  it("gives the use back once when the order is cancelled", async () => {
+    await addCoupon();
+    const { userCookie, order } = await placeOrder({ couponCode: "SAVE2" });
+
+    await request("PUT", `/orders/${order._id}/cancel`, { cookie: userCookie, body: {} });
+    await request("PUT", `/orders/${order._id}/cancel`, { cookie: userCookie, body: {} });
+
+    assert.equal(await redemptions(), 0);
+  });
+});
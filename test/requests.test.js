@@ -0,0 +1,126 @@
+// Chef applications: the certificate goes through the storage adapter as a private object
+// (an in-memory adapter here) and only admins can download it
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const { installMemoryMongo } = require("./support/memory-mongo");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.MONGO_URI = "mongodb://memory";
+
+const mongo = installMemoryMongo();
+const app = require("../index");
+const { ObjectId } = require("mongodb");
+
+const db = mongo.db("LocalChefBazaar");
+
+// ✅ storage adapter keeping objects in a Map, keyed "private:<key>" / "public:<key>"
+const createMemoryStorage = () => {
+  const objects = new Map();
+  const id = (key, options = {}) => `${options.private ? "private" : "public"}:${key}`;
+  return {
+    objects,
+    put: async (key, body, contentType, options) => {
+      objects.set(id(key, options), body);
+      return options?.private ? null : `https://cdn.test/${key}`;
+    },
+    get: async (key, options) => objects.get(id(key, options)) || null,
+    remove: async (key, options) => {
+      objects.delete(id(key, options));
+    },
+  };
+};
+
+let server;
+let baseUrl;
+let storage;
+
+// ✅ user + session + access token cookie, signed like setAuthCookie does
+const login = async (fields) => {
+  const user = { _id: new ObjectId(), status: "active", createdAt: new Date().toISOString(), ...fields };
+  await db.collection("users").insertOne(user);
+  const { insertedId } = await db.collection("sessions").insertOne({
+    userId: user._id,
+    email: user.email,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+  });
+  const token = jwt.sign(
+    { id: user._id.toString(), email: user.email, role: user.role, chefId: null, status: "active", sid: insertedId.toString() },
+    process.env.JWT_SECRET
+  );
+  return `token=${token}`;
+};
+
+const apply = (cookie) => {
+  const form = new FormData();
+  const fields = {
+    requestType: "chef",
+    kitchenName: "Mayer Rannaghor",
+    bio: "Home cooked Bengali food for twenty years",
+    experienceYears: "20",
+    cuisines: "bengali",
+    certificateNumber: "FS-1234",
+  };
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  form.append("certificate", new Blob(["%PDF-1.4 certificate"], { type: "application/pdf" }), "certificate.pdf");
+  return fetch(`${baseUrl}/requests`, { method: "POST", headers: { cookie }, body: form });
+};
+
+before(async () => {
+  app.set("mailer", { send: async () => ({ messageId: "test" }) });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  db.reset();
+  storage = createMemoryStorage();
+  app.set("storage", storage);
+});
+
+describe("chef application certificates", () => {
+  it("stores the certificate as a private object and serves it to admins", async () => {
+    const userCookie = await login({ email: "user@test.dev", role: "user", name: "User" });
+
+    const res = await apply(userCookie);
+
+    assert.equal(res.status, 200, await res.clone().text());
+    const { insertedId } = await res.json();
+    const request = await db.collection("requests").findOne({ _id: new ObjectId(insertedId) });
+    const { key } = request.application.certificate;
+    assert.ok(storage.objects.has(`private:${key}`));
+
+    const adminCookie = await login({ email: "admin@test.dev", role: "admin" });
+    const download = await fetch(`${baseUrl}/requests/${insertedId}/certificate`, { headers: { cookie: adminCookie } });
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get("content-type"), "application/pdf");
+    assert.equal(await download.text(), "%PDF-1.4 certificate");
+
+    const denied = await fetch(`${baseUrl}/requests/${insertedId}/certificate`, { headers: { cookie: userCookie } });
+    assert.equal(denied.status, 403);
+  });
+
+  it("removes the certificate when the request can't be saved", async () => {
+    const userCookie = await login({ email: "user@test.dev", role: "user", name: "User" });
+    const requests = db.collection("requests");
+    const insertOne = requests.insertOne;
+    requests.insertOne = async () => {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    };
+
+    try {
+      const res = await apply(userCookie);
+      assert.equal(res.status, 409);
+    } finally {
+      requests.insertOne = insertOne;
+    }
+    assert.equal(storage.objects.size, 0);
+  });
+});
@@ -0,0 +1,284 @@
+// In-memory stand-in for the mongodb driver's MongoClient, so route tests run without a server.
+// Query, update and aggregation semantics come from mingo; only the collection methods the app
+// calls are implemented. Install it before requiring index.js: installMemoryMongo()
+const mongodb = require("mongodb");
+const mingo = require("mingo");
+const { update } = require("mingo/updater");
+
+const { ObjectId } = mongodb;
+
+// deep copy that keeps ObjectIds, Dates and Buffers intact (stored docs never share references)
+const clone = (value) => {
+  if (value instanceof ObjectId || Buffer.isBuffer(value)) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+};
+
+const duplicateKeyError = (index) => Object.assign(new Error(`E11000 duplicate key error index: ${index}`), { code: 11000 });
+
+// plain equality fields of a filter become the base of an upserted document
+const upsertBase = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        !key.includes(".") &&
+        (value instanceof ObjectId || value instanceof Date || value === null || typeof value !== "object")
+    )
+  );
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load; // (options) => docs
+    this.options = {};
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  // ---- internals ----
+
+  match(filter = {}) {
+    const query = new mingo.Query(filter);
+    return this.docs.filter((doc) => query.test(doc));
+  }
+
+  checkUnique(doc, ignore) {
+    const others = this.docs.filter((other) => other !== ignore);
+    if (others.some((other) => String(other._id) === String(doc._id))) throw duplicateKeyError("_id_");
+
+    for (const { keys, options } of this.uniqueIndexes) {
+      const indexed = (d) => {
+        if (options.partialFilterExpression && !new mingo.Query(options.partialFilterExpression).test(d)) return false;
+        return !options.sparse || keys.some((key) => getPath(d, key) !== undefined);
+      };
+      if (!indexed(doc)) continue;
+      const key = (d) => JSON.stringify(keys.map((k) => getPath(d, k) ?? null));
+      if (others.some((other) => indexed(other) && key(other) === key(doc))) throw duplicateKeyError(keys.join("_"));
+    }
+  }
+
+  // returns the updated copy, the caller stores it
+  applyUpdate(doc, changes, { inserting = false } = {}) {
+    const { $setOnInsert, ...rest } = changes;
+    const next = clone(doc);
+    if (Object.keys(rest).length) update(next, clone(rest));
+    if (inserting && $setOnInsert) update(next, { $set: clone($setOnInsert) });
+    return next;
+  }
+
+  replace(doc, next) {
+    this.checkUnique(next, doc);
+    this.docs[this.docs.indexOf(doc)] = next;
+  }
+
+  upsert(filter, changes) {
+    const doc = this.applyUpdate(upsertBase(filter), changes, { inserting: true });
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  // ---- driver API ----
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueIndexes.push({ keys: Object.keys(keys), options });
+    return options.name || Object.keys(keys).join("_");
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor((cursorOptions) => {
+      const { sort, skip, limit, projection } = { ...options, ...cursorOptions };
+      let cursor = mingo.find(this.match(filter), {}, projection && Object.keys(projection).length ? projection : undefined);
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      return clone(cursor.all());
+    });
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.match(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.match(filter).flatMap((doc) => [].concat(getPath(doc, field) ?? []));
+    return values.filter((value, i) => values.findIndex((v) => String(v) === String(value)) === i);
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId(); // the driver sets _id on the passed doc too
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, changes, options = {}) {
+    const [doc] = options.sort ? mingo.find(this.match(filter), {}).sort(options.sort).all() : this.match(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const inserted = this.upsert(filter, changes);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const next = this.applyUpdate(doc, changes);
+    const modified = JSON.stringify(next) !== JSON.stringify(doc);
+    this.replace(doc, next);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, changes, options = {}) {
+    const docs = this.match(filter);
+    if (!docs.length && options.upsert) return this.updateOne(filter, changes, options);
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      const next = this.applyUpdate(doc, changes);
+      if (JSON.stringify(next) !== JSON.stringify(doc)) modifiedCount++;
+      this.replace(doc, next);
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, changes, options = {}) {
+    const [doc] = options.sort ? mingo.find(this.match(filter), {}).sort(options.sort).all() : this.match(filter);
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = this.upsert(filter, changes);
+      return options.returnDocument === "after" ? clone(inserted) : null;
+    }
+    const next = this.applyUpdate(doc, changes);
+    this.replace(doc, next);
+    return clone(options.returnDocument === "after" ? next : doc);
+  }
+
+  async findOneAndDelete(filter) {
+    const [doc] = this.match(filter);
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = this.match(filter);
+    this.docs = this.docs.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      const [[type, op]] = Object.entries(operation);
+      if (type === "insertOne") await this.insertOne(op.document);
+      else if (type === "updateOne") await this.updateOne(op.filter, op.update, op);
+      else if (type === "updateMany") await this.updateMany(op.filter, op.update, op);
+      else if (type === "deleteOne") await this.deleteOne(op.filter);
+      else if (type === "deleteMany") await this.deleteMany(op.filter);
+      else throw new Error(`memory-mongo: bulkWrite ${type} is not supported`);
+    }
+    return { acknowledged: true };
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(() => clone(mingo.aggregate(clone(this.docs), pipeline)));
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name));
+    return this.collections.get(name);
+  }
+
+  // empty every collection between tests (unique indexes stay)
+  reset() {
+    for (const collection of this.collections.values()) collection.docs = [];
+  }
+}
+
+class MemoryClient {
+  constructor() {
+    this.databases = new Map();
+  }
+
+  db(name = "test") {
+    if (!this.databases.has(name)) this.databases.set(name, new MemoryDb());
+    return this.databases.get(name);
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async close() {}
+}
+
+// ✅ Swap MongoClient in the require cache, returns the client the app will get
+// index.js creates one client at load time, so this has to run before it is required
+const installMemoryMongo = () => {
+  const client = new MemoryClient();
+  const id = require.resolve("mongodb");
+  require.cache[id].exports = { ...mongodb, MongoClient: function MongoClient() { return client; } };
+  return client;
+};
+
+module.exports = { installMemoryMongo, MemoryClient };